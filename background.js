@@ -1,5 +1,7 @@
 // Background service worker for Discord Chat Exporter
 
+importScripts('settings.js');
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -38,8 +40,32 @@ chrome.runtime.onInstalled.addListener(() => {
     contexts: ['all'],
     documentUrlPatterns: ['https://discord.com/*']
   });
+
+  chrome.contextMenus.create({
+    id: 'exportFromHereJSON',
+    title: 'Export from this message (JSON)',
+    contexts: ['all'],
+    documentUrlPatterns: ['https://discord.com/*']
+  });
 });
 
+// Context menu export entries and the format each one exports to
+const CONTEXT_MENU_EXPORTS = {
+  exportFromHere: 'pdf',
+  exportFromHereMD: 'markdown',
+  exportFromHereJSON: 'json'
+};
+
+// Export from the clicked message using the saved export options
+async function exportFromContextMenu(tabId, format) {
+  const settings = await loadSettings();
+  chrome.tabs.sendMessage(tabId, {
+    action: 'exportFromContextMenu',
+    format,
+    options: getExportOptionsFromSettings(settings)
+  });
+}
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'setStartMessage') {
@@ -50,28 +76,8 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
     chrome.tabs.sendMessage(tab.id, {
       action: 'setEndFromContextMenu'
     });
-  } else if (info.menuItemId === 'exportFromHere') {
-    chrome.tabs.sendMessage(tab.id, {
-      action: 'exportFromContextMenu',
-      format: 'pdf',
-      options: {
-        includeImages: true,
-        includeAvatars: true,
-        includeTimestamps: true,
-        includeReactions: true
-      }
-    });
-  } else if (info.menuItemId === 'exportFromHereMD') {
-    chrome.tabs.sendMessage(tab.id, {
-      action: 'exportFromContextMenu',
-      format: 'markdown',
-      options: {
-        includeImages: true,
-        includeAvatars: true,
-        includeTimestamps: true,
-        includeReactions: true
-      }
-    });
+  } else if (CONTEXT_MENU_EXPORTS[info.menuItemId]) {
+    exportFromContextMenu(tab.id, CONTEXT_MENU_EXPORTS[info.menuItemId]);
   }
 });
 
@@ -100,3 +106,548 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
 });
+
+// Inject bundled libraries (e.g. the PDF renderer) into the requesting content script
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'injectLibraries') {
+    if (!sender.tab || !message.files?.every(file => /^libs\/[\w.-]+\.js$/.test(file))) {
+      sendResponse({ success: false, error: 'Invalid library request' });
+      return false;
+    }
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      files: message.files
+    })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
+// --- JOBS ---
+// Batch and scheduled exports run as jobs in a Discord tab. The content script
+// accepts a job with `startJob`, reports `progressUpdate` messages tagged with the
+// job id, sends every file as `jobFileChunk` pieces followed by `jobFile` so it is
+// saved here without a save prompt, and ends with `jobFinished`. `cancelJob` stops
+// it. JOB_FORMATS lives in settings.js.
+
+// Jobs started by this worker, by job id
+const runningJobs = new Map();
+
+// Base64 pieces of job files still being sent, by file id
+const pendingJobFiles = new Map();
+
+function createJobId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Resolves with the exporter's result plus the names of the saved files
+function runJobInTab(tabId, job, onProgress = null) {
+  return new Promise(resolve => {
+    runningJobs.set(job.id, { tabId, resolve, onProgress, files: [] });
+    chrome.tabs.sendMessage(tabId, { action: 'startJob', job })
+      .catch(error => ({ accepted: false, error: error.message }))
+      .then(reply => {
+        if (!reply || !reply.accepted) {
+          finishJob(job.id, { success: false, error: reply?.error || 'No response from the page' });
+        }
+      });
+  });
+}
+
+function finishJob(jobId, result) {
+  const running = runningJobs.get(jobId);
+  if (!running) return;
+  runningJobs.delete(jobId);
+  pendingJobFiles.forEach((file, fileId) => {
+    if (file.jobId === jobId) pendingJobFiles.delete(fileId);
+  });
+  running.resolve({ ...(result || { success: false, error: 'Export failed' }), files: running.files });
+}
+
+function cancelJob(jobId) {
+  const running = runningJobs.get(jobId);
+  if (running) {
+    chrome.tabs.sendMessage(running.tabId, { action: 'cancelJob', jobId }).catch(() => {});
+  }
+}
+
+// A closed tab never reports back
+chrome.tabs.onRemoved.addListener((tabId) => {
+  runningJobs.forEach((running, jobId) => {
+    if (running.tabId === tabId) finishJob(jobId, { success: false, error: 'The Discord tab was closed' });
+  });
+});
+
+// Handle messages from jobs running in a tab
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'progressUpdate' && message.jobId) {
+    const running = runningJobs.get(message.jobId);
+    if (running && running.onProgress) running.onProgress(message.percent, message.text);
+    return false;
+  }
+
+  if (message.action === 'jobFinished') {
+    finishJob(message.jobId, message.result);
+    return false;
+  }
+
+  if (message.action === 'jobFileChunk') {
+    if (message.index === 0) {
+      pendingJobFiles.set(message.fileId, { jobId: message.jobId, parts: [] });
+    }
+    const file = pendingJobFiles.get(message.fileId);
+    if (!file || file.parts.length !== message.index) {
+      pendingJobFiles.delete(message.fileId);
+      sendResponse({ success: false, error: 'The file transfer was interrupted' });
+      return false;
+    }
+    file.parts.push(message.data);
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (message.action === 'jobFile') {
+    const file = pendingJobFiles.get(message.fileId);
+    pendingJobFiles.delete(message.fileId);
+    if (!file) {
+      sendResponse({ success: false, error: 'The file transfer was interrupted' });
+      return false;
+    }
+    // Saved even when the worker restarted mid-job and no longer tracks it
+    chrome.downloads.download({
+      url: `data:${message.mimeType};base64,${file.parts.join('')}`,
+      filename: message.filename,
+      saveAs: false,
+      conflictAction: 'uniquify'
+    }).then(downloadId => {
+      runningJobs.get(message.jobId)?.files.push(message.filename);
+      sendResponse({ success: true, downloadId });
+    }).catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  return false;
+});
+
+// --- EXPORT HISTORY ---
+// Finished batch and scheduled jobs, newest first
+
+const HISTORY_STORAGE_KEY = 'exportHistory';
+const HISTORY_LIMIT = 200;
+
+async function loadHistory() {
+  const stored = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+  return stored[HISTORY_STORAGE_KEY] || [];
+}
+
+function getJobStatus(result) {
+  if (result.success) return 'done';
+  if (result.noNewMessages) return 'empty';
+  return result.cancelled ? 'cancelled' : 'failed';
+}
+
+async function addHistoryEntry(job, source, startedAt, result) {
+  const history = await loadHistory();
+  history.unshift({
+    id: job.id,
+    source,
+    scheduleId: job.scheduleId || null,
+    channelId: job.channelId,
+    guildId: job.guildId,
+    channelName: job.channelName,
+    format: job.format,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    status: getJobStatus(result),
+    messageCount: result.messageCount ?? null,
+    error: result.success ? null : (result.error || 'Export failed'),
+    files: result.files || []
+  });
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history.slice(0, HISTORY_LIMIT) });
+}
+
+// --- BATCH EXPORT QUEUE ---
+// Exports several channels one after another in the tab the queue was started
+// from. The queue lives in chrome.storage.local so the popup can show per-job
+// status, and so a restarted service worker still knows what ran.
+
+const BATCH_STORAGE_KEY = 'batchQueue';
+
+let batchRunning = false;
+let batchCancelled = false;
+let batchJobId = null;
+
+async function loadBatchQueue() {
+  const stored = await chrome.storage.local.get(BATCH_STORAGE_KEY);
+  return stored[BATCH_STORAGE_KEY] || { tabId: null, running: false, jobs: [] };
+}
+
+async function saveBatchQueue(queue) {
+  await chrome.storage.local.set({ [BATCH_STORAGE_KEY]: queue });
+  return queue;
+}
+
+async function updateBatchQueue(update) {
+  const queue = await loadBatchQueue();
+  update(queue);
+  return saveBatchQueue(queue);
+}
+
+async function setBatchJobStatus(jobId, changes) {
+  return updateBatchQueue(queue => {
+    const job = queue.jobs.find(j => j.id === jobId);
+    if (job) Object.assign(job, changes);
+  });
+}
+
+async function addBatchJobs(jobs) {
+  return updateBatchQueue(queue => {
+    jobs.forEach(job => {
+      if (!JOB_FORMATS.includes(job.format)) {
+        throw new Error(`Unsupported batch format: ${job.format}`);
+      }
+      queue.jobs.push({
+        id: createJobId(),
+        channelId: job.channelId,
+        guildId: job.guildId,
+        channelName: job.channelName,
+        format: job.format,
+        options: job.options || {},
+        status: 'pending',
+        progress: null,
+        error: null,
+        messageCount: null
+      });
+    });
+  });
+}
+
+async function runBatchQueue(tabId) {
+  batchRunning = true;
+  batchCancelled = false;
+  await updateBatchQueue(queue => {
+    queue.tabId = tabId;
+    queue.running = true;
+  });
+
+  try {
+    while (!batchCancelled) {
+      const job = (await loadBatchQueue()).jobs.find(j => j.status === 'pending');
+      if (!job) break;
+
+      const startedAt = new Date().toISOString();
+      batchJobId = job.id;
+      await setBatchJobStatus(job.id, { status: 'running', progress: 0, error: null });
+
+      // Only whole-percent changes are written, to keep storage writes down
+      let lastPercent = 0;
+      const result = await runJobInTab(tabId, job, (percent) => {
+        if (Math.floor(percent) === lastPercent) return;
+        lastPercent = Math.floor(percent);
+        setBatchJobStatus(job.id, { progress: lastPercent });
+      });
+      batchJobId = null;
+
+      await setBatchJobStatus(job.id, {
+        status: getJobStatus(result),
+        progress: null,
+        messageCount: result.messageCount ?? null,
+        error: result.success ? null : (result.error || 'Export failed')
+      });
+      await addHistoryEntry(job, 'batch', startedAt, result);
+    }
+  } finally {
+    batchRunning = false;
+    batchJobId = null;
+    await updateBatchQueue(queue => {
+      queue.running = false;
+    });
+  }
+}
+
+async function cancelBatchQueue() {
+  batchCancelled = true;
+  if (batchJobId) cancelJob(batchJobId);
+}
+
+// A service worker restart ends any job that was running; record it as failed
+loadBatchQueue().then(queue => {
+  if (!queue.running || batchRunning) return;
+  saveBatchQueue({
+    ...queue,
+    running: false,
+    jobs: queue.jobs.map(job => job.status === 'running'
+      ? { ...job, status: 'failed', progress: null, error: 'Interrupted' }
+      : job)
+  });
+});
+
+// Handle batch queue requests from the popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handlers = {
+    batchGetState: () => loadBatchQueue(),
+    batchAddJobs: () => addBatchJobs(message.jobs || []),
+    batchRemoveJob: () => updateBatchQueue(queue => {
+      queue.jobs = queue.jobs.filter(job => job.id !== message.jobId || job.status === 'running');
+    }),
+    batchClearFinished: () => updateBatchQueue(queue => {
+      queue.jobs = queue.jobs.filter(job => job.status === 'pending' || job.status === 'running');
+    }),
+    batchStart: () => {
+      if (batchRunning) throw new Error('The batch queue is already running');
+      // Runs in the background; the popup follows progress through storage
+      runBatchQueue(message.tabId).catch(error => console.error('Batch export failed:', error));
+      return loadBatchQueue();
+    },
+    batchCancel: () => cancelBatchQueue().then(loadBatchQueue)
+  };
+
+  const handler = handlers[message.action];
+  if (!handler) return false;
+
+  Promise.resolve()
+    .then(handler)
+    .then(queue => sendResponse({ success: true, queue }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true;
+});
+
+// --- SCHEDULED EXPORTS ---
+// Recurring exports of one channel, daily or weekly at a set time. Each schedule
+// has a one-shot alarm that is set again after every run, so runs stay at the
+// chosen local time across daylight saving changes. Runs export the messages
+// since the previous run (everything on the first run) in a new background tab
+// that is closed afterwards, so tabs the user has open are never navigated.
+
+const SCHEDULES_STORAGE_KEY = 'exportSchedules';
+const SCHEDULE_ALARM_PREFIX = 'scheduledExport:';
+const SCHEDULE_PERIODS = ['daily', 'weekly'];
+const DISCORD_TAB_LOAD_ATTEMPTS = 60;
+const DISCORD_TAB_LOAD_DELAY = 1000;
+
+// Scheduled runs never overlap
+let scheduleChain = Promise.resolve();
+
+async function loadSchedules() {
+  const stored = await chrome.storage.local.get(SCHEDULES_STORAGE_KEY);
+  return stored[SCHEDULES_STORAGE_KEY] || [];
+}
+
+async function updateSchedules(update) {
+  const schedules = await loadSchedules();
+  update(schedules);
+  await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: schedules });
+  return schedules;
+}
+
+// Next time the schedule is due: its time today or later, on its weekday when weekly
+function getNextRunTime(schedule, now = Date.now()) {
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (schedule.period === 'weekly') {
+    next.setDate(next.getDate() + (schedule.day - next.getDay() + 7) % 7);
+  }
+  if (next.getTime() <= now) {
+    next.setDate(next.getDate() + (schedule.period === 'weekly' ? 7 : 1));
+  }
+  return next.getTime();
+}
+
+async function setScheduleAlarm(schedule) {
+  const when = getNextRunTime(schedule);
+  await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + schedule.id, { when });
+  await updateSchedules(schedules => {
+    const stored = schedules.find(s => s.id === schedule.id);
+    if (stored) stored.nextRunAt = new Date(when).toISOString();
+  });
+}
+
+// Alarms may be cleared when the browser restarts; recreate the missing ones
+async function syncScheduleAlarms() {
+  const schedules = await loadSchedules();
+  const alarms = await chrome.alarms.getAll();
+  const alarmNames = new Set(alarms.map(alarm => alarm.name));
+  const enabledNames = new Set(schedules.filter(s => s.enabled).map(s => SCHEDULE_ALARM_PREFIX + s.id));
+
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX) && !enabledNames.has(alarm.name)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  for (const schedule of schedules) {
+    if (schedule.enabled && !alarmNames.has(SCHEDULE_ALARM_PREFIX + schedule.id)) {
+      await setScheduleAlarm(schedule);
+    }
+  }
+}
+
+async function addSchedules(entries) {
+  const added = entries.map(entry => {
+    if (!JOB_FORMATS.includes(entry.format)) {
+      throw new Error(`Unsupported format for scheduled exports: ${entry.format}`);
+    }
+    if (!SCHEDULE_PERIODS.includes(entry.period)) {
+      throw new Error(`Unknown schedule period: ${entry.period}`);
+    }
+    if (!/^\d{2}:\d{2}$/.test(entry.time || '')) {
+      throw new Error('Pick a time for the schedule');
+    }
+    return {
+      id: createJobId(),
+      channelId: entry.channelId,
+      guildId: entry.guildId,
+      channelName: entry.channelName,
+      format: entry.format,
+      options: { ...(entry.options || {}), fromDate: null, toDate: null, sinceLastExport: false },
+      period: entry.period,
+      day: entry.period === 'weekly' ? Number(entry.day) || 0 : null,
+      time: entry.time,
+      enabled: true,
+      nextRunAt: null,
+      lastRun: null
+    };
+  });
+
+  await updateSchedules(schedules => schedules.push(...added));
+  for (const schedule of added) {
+    await setScheduleAlarm(schedule);
+  }
+}
+
+async function removeSchedule(scheduleId) {
+  await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+  await updateSchedules(schedules => {
+    const index = schedules.findIndex(s => s.id === scheduleId);
+    if (index !== -1) schedules.splice(index, 1);
+  });
+}
+
+async function setScheduleEnabled(scheduleId, enabled) {
+  const schedules = await updateSchedules(list => {
+    const schedule = list.find(s => s.id === scheduleId);
+    if (schedule) {
+      schedule.enabled = enabled;
+      if (!enabled) schedule.nextRunAt = null;
+    }
+  });
+  const schedule = schedules.find(s => s.id === scheduleId);
+  if (!schedule) return;
+  if (enabled) {
+    await setScheduleAlarm(schedule);
+  } else {
+    await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+  }
+}
+
+async function getExportState(tabId) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, { action: 'getExportState' });
+  } catch (error) {
+    return null; // No content script yet while the tab is loading
+  }
+}
+
+// A new background tab on the channel, resolved once its messages have loaded
+async function openDiscordTab(schedule) {
+  const tab = await chrome.tabs.create({
+    url: `https://discord.com/channels/${schedule.guildId}/${schedule.channelId}`,
+    active: false
+  });
+  for (let i = 0; i < DISCORD_TAB_LOAD_ATTEMPTS; i++) {
+    await new Promise(resolve => setTimeout(resolve, DISCORD_TAB_LOAD_DELAY));
+    const state = await getExportState(tab.id);
+    if (state && state.messagesLoaded) return tab.id;
+  }
+  chrome.tabs.remove(tab.id).catch(() => {});
+  throw new Error('Discord did not load in a new tab');
+}
+
+async function runScheduledExport(scheduleId) {
+  const schedule = (await loadSchedules()).find(s => s.id === scheduleId);
+  if (!schedule) return;
+
+  const startedAt = new Date().toISOString();
+  const job = {
+    id: createJobId(),
+    scheduleId,
+    channelId: schedule.channelId,
+    guildId: schedule.guildId,
+    channelName: schedule.channelName,
+    format: schedule.format,
+    options: schedule.options,
+    incremental: true
+  };
+
+  let result;
+  try {
+    const tabId = await openDiscordTab(schedule);
+    result = await runJobInTab(tabId, job);
+    chrome.tabs.remove(tabId).catch(() => {});
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  await addHistoryEntry(job, 'schedule', startedAt, result);
+  await updateSchedules(schedules => {
+    const stored = schedules.find(s => s.id === scheduleId);
+    if (stored) {
+      stored.lastRun = {
+        at: startedAt,
+        status: getJobStatus(result),
+        messageCount: result.messageCount ?? null,
+        error: result.success ? null : (result.error || 'Export failed')
+      };
+    }
+  });
+}
+
+function queueScheduledExport(scheduleId) {
+  scheduleChain = scheduleChain
+    .then(() => runScheduledExport(scheduleId))
+    .catch(error => console.error('Scheduled export failed:', error));
+  return scheduleChain;
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+  const scheduleId = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+  const schedule = (await loadSchedules()).find(s => s.id === scheduleId);
+  if (!schedule || !schedule.enabled) return;
+
+  await setScheduleAlarm(schedule);
+  await queueScheduledExport(scheduleId);
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncScheduleAlarms();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncScheduleAlarms();
+});
+
+// Handle schedule and history requests from the popup and the options page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handlers = {
+    scheduleGetState: () => {},
+    scheduleAdd: () => addSchedules(message.schedules || []),
+    scheduleRemove: () => removeSchedule(message.scheduleId),
+    scheduleSetEnabled: () => setScheduleEnabled(message.scheduleId, !!message.enabled),
+    scheduleRunNow: () => {
+      // Runs in the background; the options page follows it through storage
+      queueScheduledExport(message.scheduleId);
+    },
+    historyClear: () => chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: [] })
+  };
+
+  const handler = handlers[message.action];
+  if (!handler) return false;
+
+  Promise.resolve()
+    .then(handler)
+    .then(async () => sendResponse({ success: true, schedules: await loadSchedules(), history: await loadHistory() }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true;
+});
@@ -18,13 +18,61 @@
     messageAvatar: '[class*="avatar"] img, [class*="avatarWrapper"] img, img[class*="avatar"]',
     messageHeader: '[class*="header"]',
     repliedMessage: '[class*="repliedMessage"]',
+    repliedMessageContent: '[id^="message-content-"]',
+    editedMarker: '[class*="edited"]',
+    inlineTimestamp: '[class*="timestampInline"]',
+    botTag: '[class*="botTag"]',
+    pinnedMarker: '[class*="pinnedMessage"], [aria-label*="Pinned"]',
+    systemMessage: '[class*="systemMessage"], [class*="isSystemMessage"]',
+    // The "Wave to say hi!" button under member joins
+    systemJoinWelcome: '[class*="welcomeCTA"]',
 
     // Attachments
     messageImages: '[class*="imageWrapper"] img, [class*="embedImage"] img, [class*="mediaAttachment"] img',
+    gifVideo: '[class*="gifv"] video, [class*="GIFV"] video, video[class*="gifv"], video[class*="GIFV"]',
     messageStickers: '[class*="stickerAsset"], [class*="sticker_"] img, [class*="stickerNode"] img, img[class*="sticker"], [class*="stickerWrapper"] img, [class*="stickerContainer"] img, img[data-type="sticker"]',
-    messageAttachments: '[class*="attachment"]',
+    messageAttachments: '[class*="attachment"], [class*="file_"], [class*="wrapperAudio"], [class*="voiceMessage"], video, audio',
+    attachmentLink: 'a[href*="/attachments/"], video[src], audio[src], source[src]',
     messageReactions: '[class*="reactions"]',
 
+    // Polls
+    poll: '[class*="pollContainer"], [class*="poll_"]',
+    pollQuestion: '[class*="question"]',
+    pollAnswer: '[class^="answer_"], [class*=" answer_"]',
+    pollAnswerText: '[class*="answerText"], [class*="label"]',
+    pollPercentage: '[class*="votePercentage"], [class*="percentage"]',
+    pollVotes: '[class*="voteCount"], [class*="votes"]',
+    pollFooter: '[class*="pollFooter"], [class*="bottomBar"], [class*="footer"]',
+
+    // Message components (buttons, link buttons, select menus)
+    componentRow: '[class*="actionRow"], [class*="componentRow"]',
+    componentButton: 'button, a[href][role="button"], a[href][class*="button"]',
+    componentSelect: '[class*="select"]',
+
+    // Slash command interaction header ("X used /command")
+    interactionCommand: '[class*="commandName"], [class*="executedCommand"]',
+
+    // Mentions (users, roles, channels, @everyone/@here)
+    mention: '[class*="mention"], [class*="Mention"]',
+
+    // Threads and forum posts
+    threadAccessory: '[class*="threadMessageAccessory"]',
+    threadName: '[class*="threadMessageAccessoryChannelName"], [class*="threadName"]',
+    channelLink: 'a[href*="/channels/"]',
+    forumPost: '[class*="forumPost"] [data-item-id], [class*="mainCard"]',
+    forumPostTitle: '[class*="postTitleText"], [id^="forum-post-title"], h3',
+
+    // Search results pane
+    searchResultsPane: '[class*="searchResultsWrap"]',
+    searchResultGroup: '[class*="searchResultGroup"]',
+    searchResultChannel: '[class*="channelName"]',
+    searchNextPage: '[class*="pagination"] [rel="next"], [class*="pagination"] button[class*="next"], [class*="pagination"] [aria-label="Next"]',
+    searchQuery: '[class*="searchBar"] [contenteditable="true"], [class*="search_"] [contenteditable="true"]',
+
+    // Server sidebar
+    sidebarChannel: 'a[data-list-item-id^="channels___"]',
+    sidebarChannelName: '[class*="name"]',
+
     // Navigation
     chatArea: '[class*="chatContent"]',
     scroller: '[class*="scroller"]',
@@ -50,14 +98,33 @@
     maxNoChangeAttempts: 8,
     avatarSize: 128,
     contextMenuDelay: 100,
-    highlightDuration: 2000
+    highlightDuration: 2000,
+    checkpointInterval: 5,
+    jumpToMessageAttempts: 20,
+    channelLoadAttempts: 20,
+    maxSearchPages: 200,
+    maxArchiveAttachmentBytes: 50 * 1024 * 1024
   };
 
   const DEFAULT_EXPORT_OPTIONS = {
     includeImages: true,
     includeAvatars: true,
     includeTimestamps: true,
-    includeReactions: true
+    includeReactions: true,
+    archive: false,
+    archiveAttachments: false,
+    jsonSchema: 'native',
+    csvBom: true,
+    includeThreads: false,
+    searchResults: false,
+    sinceLastExport: false,
+    incrementalOutput: 'delta',
+    filters: null,
+    anonymize: false,
+    redactPatterns: [],
+    statsFormat: 'html',
+    fromDate: null,
+    toDate: null
   };
 
   // --- CACHE ---
@@ -65,11 +132,13 @@
   const userCache = {
     avatars: {},
     colors: {},
+    botTags: {},
     lastUsername: '',
 
     reset() {
       this.avatars = {};
       this.colors = {};
+      this.botTags = {};
       this.lastUsername = '';
     },
 
@@ -87,6 +156,14 @@
 
     getColor(username) {
       return this.colors[username] || null;
+    },
+
+    setBotTag(username, tag) {
+      if (username && tag) this.botTags[username] = tag;
+    },
+
+    getBotTag(username) {
+      return this.botTags[username] || null;
     }
   };
 
@@ -181,6 +258,287 @@
     return null;
   }
 
+  // --- CHECKPOINTS ---
+  // Collected messages are persisted to chrome.storage.local while scrolling so an
+  // interrupted export (reload, navigation, scroll limit) can be resumed. Messages
+  // are stored in fixed-size chunks; only the chunks that changed are rewritten.
+
+  const CHECKPOINT_CHUNK_SIZE = 250;
+
+  const checkpointStore = {
+    key(channelId) {
+      return `exportCheckpoint:${channelId}`;
+    },
+
+    chunkKey(channelId, index) {
+      return `${this.key(channelId)}:chunk:${index}`;
+    },
+
+    async getMeta(channelId) {
+      const key = this.key(channelId);
+      const stored = await chrome.storage.local.get(key);
+      return stored[key] || null;
+    },
+
+    async load(channelId) {
+      const meta = await this.getMeta(channelId);
+      if (!meta) return null;
+
+      const chunkKeys = Array.from({ length: meta.chunkCount }, (_, i) => this.chunkKey(channelId, i));
+      const chunks = await chrome.storage.local.get(chunkKeys);
+      return { ...meta, messages: chunkKeys.flatMap(key => chunks[key] || []) };
+    },
+
+    // Writes the chunks touched by messages[savedCount...] plus the metadata record
+    async save(channelId, meta, messages, savedCount) {
+      const items = {};
+      const firstDirtyChunk = Math.floor(savedCount / CHECKPOINT_CHUNK_SIZE);
+      const chunkCount = Math.ceil(messages.length / CHECKPOINT_CHUNK_SIZE);
+
+      for (let i = firstDirtyChunk; i < chunkCount; i++) {
+        items[this.chunkKey(channelId, i)] = messages.slice(i * CHECKPOINT_CHUNK_SIZE, (i + 1) * CHECKPOINT_CHUNK_SIZE);
+      }
+      items[this.key(channelId)] = {
+        ...meta,
+        messageCount: messages.length,
+        chunkCount,
+        updatedAt: new Date().toISOString()
+      };
+
+      await chrome.storage.local.set(items);
+    },
+
+    async clear(channelId) {
+      const meta = await this.getMeta(channelId);
+      const keys = [this.key(channelId)];
+      for (let i = 0; i < (meta?.chunkCount || 0); i++) {
+        keys.push(this.chunkKey(channelId, i));
+      }
+      await chrome.storage.local.remove(keys);
+    }
+  };
+
+  function getCheckpointId() {
+    const channel = getChannelInfo();
+    return channel.channelId || channel.path;
+  }
+
+  // --- LAST EXPORT ---
+  // The newest message of the last successful export is remembered per channel so
+  // "new messages only" can continue right after it. Complete Markdown and JSON
+  // files are kept as well, so the next incremental export can append to them.
+
+  const APPENDABLE_FORMATS = ['markdown', 'json'];
+  // Saved files are capped so they don't pile up in storage: larger files are not
+  // kept, and only the most recently saved ones are (oldest removed first)
+  const LAST_EXPORT_OUTPUT_MAX_LENGTH = 16 * 1024 * 1024;
+  const LAST_EXPORT_OUTPUT_LIMIT = 20;
+  const LAST_EXPORT_OUTPUT_INDEX_KEY = 'lastExportOutputs';
+
+  const lastExportStore = {
+    key(channelId) {
+      return `lastExport:${channelId}`;
+    },
+
+    outputKey(channelId, format) {
+      return `lastExportOutput:${channelId}:${format}`;
+    },
+
+    async get(channelId) {
+      const key = this.key(channelId);
+      const stored = await chrome.storage.local.get(key);
+      return stored[key] || null;
+    },
+
+    // The saved file with the newest message it contains
+    async getOutput(channelId, format) {
+      const key = this.outputKey(channelId, format);
+      const stored = await chrome.storage.local.get(key);
+      return stored[key] || null;
+    },
+
+    async save(channelId, marker, output = null) {
+      const items = { [this.key(channelId)]: marker };
+      let pruned = [];
+      if (output !== null && output.length <= LAST_EXPORT_OUTPUT_MAX_LENGTH) {
+        const outputKey = this.outputKey(channelId, marker.format);
+        items[outputKey] = {
+          elementId: marker.elementId,
+          messageId: marker.messageId,
+          timestamp: marker.timestamp,
+          content: output
+        };
+        const stored = await chrome.storage.local.get(LAST_EXPORT_OUTPUT_INDEX_KEY);
+        const index = (stored[LAST_EXPORT_OUTPUT_INDEX_KEY] || []).filter(key => key !== outputKey);
+        index.push(outputKey);
+        pruned = index.splice(0, Math.max(0, index.length - LAST_EXPORT_OUTPUT_LIMIT));
+        items[LAST_EXPORT_OUTPUT_INDEX_KEY] = index;
+      }
+      await chrome.storage.local.set(items);
+      if (pruned.length > 0) await chrome.storage.local.remove(pruned);
+    }
+  };
+
+  // Pseudonyms are numbered per export, so anonymized exports never append: the
+  // new part could give "User 1" to someone else than the saved file does
+  function isAppendingExport(options) {
+    return !!options.sinceLastExport && options.incrementalOutput === 'append' &&
+      !options.archive && !options.anonymize && APPENDABLE_FORMATS.includes(options.format);
+  }
+
+  // Newest top-level message of the current channel; thread replies do not count
+  function getNewestChannelMessage(messages) {
+    const channelId = getChannelInfo().channelId;
+    let newest = null;
+    messages.forEach(msg => {
+      const { channelId: msgChannelId, messageId } = parseMessageElementId(msg.id);
+      if (!messageId || msgChannelId !== channelId) return;
+      if (!newest || BigInt(messageId) > BigInt(newest.messageId)) {
+        newest = { elementId: msg.id, messageId };
+      }
+    });
+    return newest;
+  }
+
+  // New messages only: points the export right after the newest message of the last
+  // export (or of the saved file when appending to it). Returns the element id to
+  // start from, or null when that message is gone and the date bound has to do.
+  async function applyLastExportStart(exportOptions) {
+    const channelId = getCheckpointId();
+    const appending = isAppendingExport(exportOptions);
+    const since = appending
+      ? await lastExportStore.getOutput(channelId, exportOptions.format)
+      : await lastExportStore.get(channelId);
+    if (!since) {
+      throw new Error(appending
+        ? `No previous ${exportOptions.format === 'json' ? 'JSON' : 'Markdown'} export of this channel to append to`
+        : 'No previous export recorded for this channel');
+    }
+
+    exportOptions.lastExport = { elementId: since.elementId, messageId: since.messageId, timestamp: since.timestamp };
+    const fromTime = parseDateOption(exportOptions.fromDate);
+    if (!fromTime || fromTime < Date.parse(since.timestamp)) {
+      exportOptions.fromDate = since.timestamp;
+    }
+
+    reportProgress(5, 'Jumping to the last exported message...');
+    return (await jumpToMessage(since.elementId)) ? since.elementId : null;
+  }
+
+  function isAfterLastExport(msg, lastExport) {
+    const { messageId } = parseMessageElementId(msg.id);
+    return !messageId || BigInt(messageId) > BigInt(lastExport.messageId);
+  }
+
+  // Called once an export has been saved. `output` is the written Markdown/JSON
+  // file; it is kept unless it only holds a delta. Filtered exports are skipped:
+  // their newest message isn't the channel's, and their file is missing messages.
+  // An export of an older range leaves the remembered point where it is.
+  async function rememberLastExport(messages, options, output = null) {
+    if (options.searchResults || isForumChannel() || hasActiveFilters(options.filters)) return;
+    const newest = getNewestChannelMessage(messages);
+    if (!newest) return;
+
+    const isDelta = options.sinceLastExport && !isAppendingExport(options);
+    const keepOutput = output !== null && !options.archive && !options.anonymize && !isDelta &&
+      APPENDABLE_FORMATS.includes(options.format);
+    try {
+      const channelId = getCheckpointId();
+      const previous = await lastExportStore.get(channelId);
+      if (previous && BigInt(previous.messageId) > BigInt(newest.messageId)) return;
+      await lastExportStore.save(channelId, {
+        ...newest,
+        timestamp: new Date(snowflakeToTimestamp(newest.messageId)).toISOString(),
+        exportedAt: new Date().toISOString(),
+        format: options.format,
+        messageCount: messages.length
+      }, keepOutput ? output : null);
+    } catch (e) {
+      console.warn('Could not remember the last export:', e);
+    }
+  }
+
+  // --- PROGRESS ---
+
+  // Progress goes to the popup and, for jobs, to the background worker running them
+  function reportProgress(percent, text) {
+    chrome.runtime.sendMessage({ action: 'progressUpdate', percent, text, jobId: activeJob?.id ?? null });
+  }
+
+  // --- CANCELLATION ---
+
+  // Throws a cancellation error carrying whatever was collected before the abort
+  function throwIfCancelled(signal, partialMessages = []) {
+    if (!signal?.aborted) return;
+    const error = new Error('Export cancelled');
+    error.cancelled = true;
+    error.partialMessages = partialMessages;
+    throw error;
+  }
+
+  function cancelExport() {
+    if (!exportAbortController) return false;
+    exportAbortController.abort();
+    return true;
+  }
+
+  // --- SETTINGS ---
+
+  // Saved settings (see settings.js); kept in sync with chrome.storage
+  let currentSettings = { ...DEFAULT_SETTINGS };
+
+  function applySettings(settings) {
+    currentSettings = { ...DEFAULT_SETTINGS, ...settings };
+    TIMING_SETTING_KEYS.forEach(key => {
+      const value = Number(currentSettings[key]);
+      if (Number.isFinite(value) && value > 0) {
+        CONFIG[key] = value;
+      }
+    });
+    if (exportPanel) applySettingsToPanel();
+  }
+
+  function sanitizeFilename(name) {
+    return name
+      .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 150);
+  }
+
+  // Builds a download filename from the saved template, e.g.
+  // "{guild}-{channel}-{date}" -> "My Server-general-2024-05-01.md"
+  function buildExportFilename(extension, format = extension) {
+    const channel = getChannelInfo();
+    const now = new Date();
+    const iso = now.toISOString();
+    const values = {
+      channel: channel.name || 'channel',
+      guild: channel.isDirectMessage ? 'Direct Messages' : (getGuildName() || 'server'),
+      channelId: channel.channelId || '',
+      date: iso.slice(0, 10),
+      time: iso.slice(11, 19).replace(/:/g, '-'),
+      timestamp: iso.replace(/[:.]/g, '-'),
+      format
+    };
+    const template = currentSettings.filenameTemplate || DEFAULT_SETTINGS.filenameTemplate;
+    const name = sanitizeFilename(template.replace(/\{(\w+)\}/g, (match, key) =>
+      key in values ? values[key] : match
+    ));
+    return `${name || 'discord-export'}.${extension}`;
+  }
+
+  loadSettings().then(applySettings);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    const updated = { ...currentSettings };
+    Object.entries(changes).forEach(([key, change]) => {
+      updated[key] = change.newValue === undefined ? DEFAULT_SETTINGS[key] : change.newValue;
+    });
+    applySettings(updated);
+  });
+
   // --- STATE ---
 
   let isSelectionMode = false;
@@ -189,6 +547,8 @@
   let selectedEndMessageElement = null;
   let selectedEndMessageId = null;
   let highlightOverlay = null;
+  let exportAbortController = null;
+  let activeJob = null;
 
   // --- DOM UTILITIES ---
 
@@ -202,6 +562,38 @@
     return (id && id.startsWith('chat-messages-')) ? id : null;
   }
 
+  // Element ids look like chat-messages-<channelId>-<messageId>
+  function parseMessageElementId(elementId) {
+    const match = (elementId || '').match(/^chat-messages-(\d+)-(\d+)$/);
+    return match ? { channelId: match[1], messageId: match[2] } : { channelId: null, messageId: null };
+  }
+
+  const DISCORD_EPOCH = 1420070400000n;
+
+  // Snowflake ids carry their creation time (ms since the Discord epoch) in the top 42 bits
+  function snowflakeToTimestamp(snowflake) {
+    try {
+      return Number((BigInt(snowflake) >> 22n) + DISCORD_EPOCH);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function getMessageTime(messageEl) {
+    const { messageId } = parseMessageElementId(getMessageId(messageEl));
+    if (messageId) return snowflakeToTimestamp(messageId);
+
+    const timeEl = messageEl.querySelector(SELECTORS.messageTimestamp);
+    const parsed = Date.parse(timeEl?.getAttribute('datetime') || '');
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  function parseDateOption(value) {
+    if (!value) return null;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
   function getMessagePreview(messageEl) {
     if (!messageEl) return '';
 
@@ -234,7 +626,48 @@
     return match ? `Channel ${match[1]}` : 'Discord Chat Export';
   }
 
-  function getMessagesScroller() {
+  function getGuildName() {
+    const selectors = [
+      'nav[class*="container"] header [class*="name"]',
+      '[class*="sidebar"] header [class*="name"]',
+      '[class*="guildName"]'
+    ];
+
+    for (const selector of selectors) {
+      const el = document.querySelector(selector);
+      if (el && el.textContent.trim()) {
+        return el.textContent.trim();
+      }
+    }
+    return null;
+  }
+
+  function getChannelInfo() {
+    // URL path is /channels/<guildId or @me>/<channelId>[/<messageId>]
+    const match = window.location.pathname.match(/\/channels\/(@me|\d+)\/(\d+)/);
+    return {
+      name: getChannelName(),
+      guildId: match && match[1] !== '@me' ? match[1] : null,
+      channelId: match ? match[2] : null,
+      isDirectMessage: match ? match[1] === '@me' : false,
+      path: window.location.pathname,
+      url: window.location.href
+    };
+  }
+
+  function getChannelMessageSelector(channelId) {
+    return channelId ? `[id^="chat-messages-${channelId}-"]` : SELECTORS.message;
+  }
+
+  // With a channel id, returns the scroller holding that channel's messages
+  // (e.g. a thread opened in the sidebar next to its parent channel)
+  function getMessagesScroller(channelId = null) {
+    if (channelId) {
+      const messageEl = document.querySelector(getChannelMessageSelector(channelId));
+      const scroller = messageEl?.closest(SELECTORS.scroller);
+      if (scroller) return scroller;
+    }
+
     const selectors = [
       '[class*="messagesWrapper"] [class*="scroller"]',
       '[class*="chatContent"] [class*="scroller"]',
@@ -254,6 +687,12 @@
     return div.innerHTML;
   }
 
+  function htmlToPlainText(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html || '';
+    return div.textContent;
+  }
+
   // --- IMAGE UTILITIES ---
 
   function getFullResolutionImageUrl(img) {
@@ -490,6 +929,9 @@
         (img.width && img.width <= 48 && img.height && img.height <= 48);
 
       if (isDiscordEmoji) {
+        // Keep the emoji name: the alt/aria-label ":name:" text is stripped below
+        const emojiName = (img.getAttribute('data-name') || img.getAttribute('alt') || ariaLabel).replace(/^:|:$/g, '');
+        if (/^[\w~-]+$/.test(emojiName)) img.setAttribute('data-emoji-name', emojiName);
         img.classList.add('emoji');
         img.setAttribute('data-type', 'emoji');
         img.removeAttribute('width');
@@ -511,6 +953,66 @@
     return result;
   }
 
+  // Classifies a mention span from Discord's markup. User and role mentions
+  // carry no ids in the DOM; channel mentions link to the channel.
+  function getMentionInfo(el) {
+    const text = el.textContent.trim();
+    const className = el.getAttribute('class') || '';
+    const href = el.getAttribute('href') || el.querySelector('a')?.getAttribute('href') || '';
+
+    if (/channel/i.test(className) || /\/channels\//.test(href) || text.startsWith('#')) {
+      return {
+        type: 'channel',
+        name: text.replace(/^#\s*/, ''),
+        id: href.match(/\/channels\/[^/]+\/(\d+)/)?.[1] || null,
+        color: null
+      };
+    }
+    if (text === '@everyone' || text === '@here') {
+      return { type: text.substring(1), name: text.substring(1), id: null, color: null };
+    }
+    if (!text.startsWith('@')) return null;
+
+    const name = text.substring(1);
+    if (/role/i.test(className)) {
+      return { type: 'role', name, id: null, color: el.style.color || null };
+    }
+    return { type: 'user', name, id: null, color: el.style.color || userCache.getColor(name) || null };
+  }
+
+  // Rewrites mention spans into uniform `.mention` elements tagged with their
+  // kind so every exporter renders them alike. Found mentions are added to
+  // `mentions` (once per target) when a list is passed.
+  function annotateMentions(html, mentions = null) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+
+    tempDiv.querySelectorAll(SELECTORS.mention).forEach(el => {
+      if (el.parentElement?.closest(SELECTORS.mention)) return;
+      const mention = getMentionInfo(el);
+      if (!mention) return;
+
+      const prefix = mention.type === 'channel' ? '#' : '@';
+      const span = document.createElement('span');
+      span.className = `mention mention-${mention.type}`;
+      span.setAttribute('data-mention-type', mention.type);
+      span.setAttribute('data-mention-name', mention.name);
+      if (mention.id) span.setAttribute('data-mention-id', mention.id);
+      if (mention.type === 'role' && mention.color) {
+        span.style.color = mention.color;
+        span.style.backgroundColor = mention.color.replace(/^rgb\((.+)\)$/, 'rgba($1, 0.1)');
+      }
+      span.textContent = prefix + mention.name;
+      el.replaceWith(span);
+
+      if (mentions && !mentions.some(m => m.type === mention.type && m.name === mention.name && m.id === mention.id)) {
+        mentions.push(mention);
+      }
+    });
+
+    return tempDiv.innerHTML;
+  }
+
   function isValidUsernameElement(el) {
     if (!el?.textContent?.trim()) return false;
     if (el.closest('[class*="repliedMessage"]')) return false;
@@ -633,6 +1135,14 @@
     data.avatar = cachedAvatar || '';
   }
 
+  // The "(edited)" marker sits inside the message content; it becomes the
+  // edited/editedAt fields instead of text
+  function removeEditedMarkers(contentEl) {
+    contentEl.querySelectorAll(SELECTORS.editedMarker).forEach(el => {
+      (el.closest(SELECTORS.inlineTimestamp) || el).remove();
+    });
+  }
+
   function extractContent(messageEl, data) {
     let contentEl = null;
     const allContentEls = messageEl.querySelectorAll(SELECTORS.messageContent);
@@ -646,11 +1156,102 @@
     }
 
     if (contentEl) {
-      data.content = processContentForEmoji(contentEl.innerHTML);
+      contentEl = contentEl.cloneNode(true);
+      removeEditedMarkers(contentEl);
+      data.content = annotateMentions(processContentForEmoji(contentEl.innerHTML), data.mentions);
       data.contentText = contentEl.textContent.trim();
     }
   }
 
+  function extractEdited(messageEl, data) {
+    const editedEl = Array.from(messageEl.querySelectorAll(SELECTORS.editedMarker))
+      .find(el => !el.closest(SELECTORS.repliedMessage));
+    if (!editedEl) return;
+
+    const timeEl = editedEl.closest('time') || editedEl.querySelector('time') ||
+      editedEl.closest(SELECTORS.inlineTimestamp)?.querySelector('time');
+    data.edited = true;
+    data.editedAt = timeEl?.getAttribute('datetime') || null;
+  }
+
+  // BOT / APP tags next to the username
+  function extractBotTag(usernameEl, data) {
+    const header = usernameEl.closest('[class*="header"]') || usernameEl.parentElement;
+    const tagEl = header?.querySelector(SELECTORS.botTag);
+    if (!tagEl) return;
+    data.isBot = true;
+    data.botTag = tagEl.textContent.trim().toUpperCase() || 'BOT';
+  }
+
+  // Discord's own phrasings; anything else is 'other' (Default in DCE JSON)
+  const SYSTEM_MESSAGE_TYPES = [
+    { type: 'pin', pattern: /\bpinned a message\b/i },
+    { type: 'boost', pattern: /\bboosted the server\b/i },
+    { type: 'thread', pattern: /\bstarted a thread\b/i },
+    { type: 'call', pattern: /\bstarted a call\b|\bmissed a call from\b/i },
+    { type: 'channelNameChange', pattern: /\bchanged the (channel|group) name\b/i },
+    { type: 'channelIconChange', pattern: /\bchanged the (channel|group) icon\b/i },
+    { type: 'recipientAdd', pattern: /\badded .+ to the group\b/i },
+    { type: 'recipientRemove', pattern: /\bremoved .+ from the group\b|\bleft the group\b/i }
+  ];
+
+  // Member joins use one of many randomized (and translated) greetings, so they
+  // are recognized by the welcome button Discord renders under them instead
+  function getSystemMessageType(messageEl, text) {
+    if (messageEl.querySelector(SELECTORS.systemJoinWelcome)) return 'join';
+    return (SYSTEM_MESSAGE_TYPES.find(entry => entry.pattern.test(text)) || { type: 'other' }).type;
+  }
+
+  // Joins, pins, boosts, thread creation, calls... These have no author header,
+  // so they are attributed to the user named in them rather than to the
+  // previous message's author.
+  function extractSystemMessage(systemEl, messageEl, data, options) {
+    const contentEl = (systemEl.querySelector(SELECTORS.messageContent) || systemEl.querySelector('[class*="content"]') || systemEl).cloneNode(true);
+    contentEl.querySelectorAll(`time, svg, ${SELECTORS.inlineTimestamp}, [class*="iconContainer"], [class*="iconWrapper"]`).forEach(el => el.remove());
+
+    const text = contentEl.textContent.replace(/\s+/g, ' ').trim();
+    data.type = 'system';
+    data.systemType = getSystemMessageType(messageEl, text);
+    data.content = annotateMentions(processContentForEmoji(contentEl.innerHTML), data.mentions);
+    data.contentText = text;
+    data.username = systemEl.querySelector(SELECTORS.messageUsername)?.textContent.trim() || '';
+
+    // Pin notices link to the pinned message
+    const linkedId = (systemEl.querySelector(SELECTORS.channelLink)?.getAttribute('href') || '')
+      .match(/\/channels\/[^/]+\/\d+\/(\d+)/)?.[1];
+    if (data.systemType === 'pin' && linkedId) data.pinnedMessageId = linkedId;
+
+    if (options.includeTimestamps) {
+      const timeEl = messageEl.querySelector(SELECTORS.messageTimestamp);
+      if (timeEl) data.timestamp = timeEl.getAttribute('datetime') || timeEl.textContent.trim();
+    }
+    if (options.includeReactions) extractReactions(messageEl, data);
+    extractThread(messageEl, data);
+
+    return data.contentText ? data : null;
+  }
+
+  // Flags the messages that pin notices in the same export point to
+  function markPinnedMessages(messages) {
+    const pinnedIds = new Set(messages.map(msg => msg.pinnedMessageId).filter(Boolean));
+    if (pinnedIds.size === 0) return;
+    messages.forEach(msg => {
+      if (pinnedIds.has(parseMessageElementId(msg.id).messageId)) msg.pinned = true;
+    });
+  }
+
+  // Discord may serve GIF previews re-encoded as still webp; ask for the original file
+  function getAnimatedImageUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.searchParams.get('format') !== 'webp') return url;
+      urlObj.searchParams.delete('format');
+      return urlObj.toString();
+    } catch (e) {
+      return url;
+    }
+  }
+
   function extractImages(messageEl, data) {
     const processedUrls = new Set();
 
@@ -662,10 +1263,11 @@
       processedUrls.add(normalizedSrc);
 
       const isGif = isGifUrl(src);
+      const url = isGif ? getAnimatedImageUrl(src) : src;
       data.images.push({
-        url: src,
+        url,
         isGif: isGif,
-        staticUrl: isGif ? getStaticImageUrl(src) : src
+        staticUrl: isGif ? getStaticImageUrl(url) : src
       });
     };
 
@@ -713,6 +1315,33 @@
 
       if (src) addImage(src);
     });
+
+    // Method 3: GIF embeds (Tenor, GIPHY) that Discord plays as looping videos;
+    // the poster frame stands in for the animation in PDF output
+    messageEl.querySelectorAll(SELECTORS.gifVideo).forEach(video => {
+      if (video.closest('[class*="repliedMessage"]')) return;
+      const src = video.getAttribute('src') || video.querySelector('source[src]')?.getAttribute('src') || '';
+      if (!src || src.startsWith('blob:')) return;
+      const normalizedSrc = src.split('?')[0];
+      if (processedUrls.has(normalizedSrc)) return;
+      processedUrls.add(normalizedSrc);
+
+      data.images.push({
+        url: src,
+        isGif: true,
+        isVideo: true,
+        staticUrl: video.getAttribute('poster') || src
+      });
+    });
+  }
+
+  // Sticker file formats as Discord serves them: Lottie stickers are JSON
+  // animations, APNG and GIF stickers animate natively in an <img>
+  function getStickerFormat(src) {
+    if (src.includes('.json') || src.includes('format=lottie')) return 'lottie';
+    if (src.includes('apng')) return 'apng';
+    if (src.toLowerCase().includes('.gif')) return 'gif';
+    return 'png';
   }
 
   function extractStickers(messageEl, data) {
@@ -724,7 +1353,8 @@
       if (processedUrls.has(src)) return;
       processedUrls.add(src);
 
-      const isAnimated = src.includes('.json') || src.includes('apng') || src.includes('format=lottie');
+      const format = getStickerFormat(src);
+      const isAnimated = format !== 'png';
 
       // Keep original URL but ensure proper size
       // Use media.discordapp.net instead of cdn.discordapp.com for better accessibility
@@ -748,10 +1378,30 @@
         }
       }
 
+      // `url` is the animated asset; `staticUrl` is a still frame for PDF output
+      let staticUrl = stickerUrl;
+      if (format === 'lottie') {
+        staticUrl = stickerUrl.replace('.json', '.png').replace('format=lottie', 'format=png');
+      } else if (format === 'gif') {
+        staticUrl = getStaticImageUrl(stickerUrl);
+      } else if (format === 'apng') {
+        // APNG stickers only animate when Discord passes the original file through
+        try {
+          const urlObj = new URL(stickerUrl);
+          urlObj.searchParams.set('passthrough', 'false');
+          staticUrl = urlObj.toString();
+          urlObj.searchParams.set('passthrough', 'true');
+          stickerUrl = urlObj.toString();
+        } catch (e) {
+          // Keep original URL
+        }
+      }
+
       data.stickers.push({
         url: stickerUrl,
         isAnimated: isAnimated,
-        staticUrl: isAnimated ? stickerUrl.replace('.json', '.png').replace('format=lottie', 'format=png') : stickerUrl
+        format,
+        staticUrl
       });
     };
 
@@ -775,6 +1425,70 @@
     });
   }
 
+  const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'mkv', 'avi'];
+  const AUDIO_EXTENSIONS = ['mp3', 'ogg', 'wav', 'flac', 'm4a', 'opus'];
+  const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+  function getUrlExtension(url) {
+    try {
+      const match = new URL(url).pathname.toLowerCase().match(/\.([a-z0-9]+)$/);
+      return match ? match[1] : '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function getAttachmentType(container, linkEl, url) {
+    const extension = getUrlExtension(url);
+    if (container.closest('[class*="voiceMessage"]') || container.querySelector('[class*="voiceMessage"]')) return 'voice';
+    if (linkEl.tagName === 'VIDEO' || linkEl.closest('video') || VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (linkEl.tagName === 'AUDIO' || linkEl.closest('audio') || AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    return 'file';
+  }
+
+  function extractAttachments(messageEl, data) {
+    const processedUrls = new Set();
+
+    messageEl.querySelectorAll(SELECTORS.messageAttachments).forEach(container => {
+      if (container.closest('[class*="repliedMessage"]')) return;
+      if (container.closest('[class*="replyBar"]')) return;
+
+      const linkEls = container.matches(SELECTORS.attachmentLink)
+        ? [container]
+        : Array.from(container.querySelectorAll(SELECTORS.attachmentLink));
+
+      linkEls.forEach(linkEl => {
+        const rawUrl = linkEl.getAttribute('href') || linkEl.getAttribute('src') || '';
+        if (!rawUrl || rawUrl.startsWith('blob:')) return;
+        // GIF videos are handled by extractImages
+        if (linkEl.closest(SELECTORS.gifVideo)) return;
+
+        const url = rawUrl.replace('media.discordapp.net', 'cdn.discordapp.com');
+        const normalizedUrl = url.split('?')[0];
+        if (processedUrls.has(normalizedUrl)) return;
+
+        // Inline images are handled by extractImages
+        if (IMAGE_EXTENSIONS.includes(getUrlExtension(url))) return;
+        processedUrls.add(normalizedUrl);
+
+        const card = linkEl.closest('[class*="file_"], [class*="wrapperAudio"], [class*="voiceMessage"], [class*="attachment"]') || container;
+        const cardText = card.textContent || '';
+        const sizeMatch = cardText.match(/(\d+(?:[.,]\d+)?\s*(?:bytes|[KMG]B))/i);
+        const durationMatch = cardText.match(/\b(\d{1,2}:\d{2})\b/);
+        const linkText = linkEl.tagName === 'A' ? linkEl.textContent.trim() : '';
+        const type = getAttachmentType(card, linkEl, url);
+
+        data.attachments.push({
+          url,
+          filename: linkText || getAttachmentFileName(url) || 'attachment',
+          size: sizeMatch ? sizeMatch[1] : '',
+          type,
+          duration: (type === 'voice' || type === 'audio') && durationMatch ? durationMatch[1] : ''
+        });
+      });
+    });
+  }
+
   function extractEmbedData(embedEl, options) {
     if (!embedEl) return null;
 
@@ -802,7 +1516,7 @@
     if (titleEl) embed.title = titleEl.textContent.trim();
 
     const descEl = embedEl.querySelector(SELECTORS.embedDescription);
-    if (descEl) embed.description = processContentForEmoji(descEl.innerHTML);
+    if (descEl) embed.description = annotateMentions(processContentForEmoji(descEl.innerHTML));
 
     const fieldEls = embedEl.querySelectorAll(SELECTORS.embedField);
     fieldEls.forEach(fieldEl => {
@@ -811,7 +1525,7 @@
       if (nameEl || valueEl) {
         embed.fields.push({
           name: nameEl ? nameEl.textContent.trim() : '',
-          value: valueEl ? processContentForEmoji(valueEl.innerHTML) : ''
+          value: valueEl ? annotateMentions(processContentForEmoji(valueEl.innerHTML)) : ''
         });
       }
     });
@@ -886,6 +1600,93 @@
     });
   }
 
+  function parseCount(text) {
+    const match = (text || '').match(/\d[\d,.]*/);
+    return match ? parseInt(match[0].replace(/[,.]/g, ''), 10) : null;
+  }
+
+  // Reactions keep the count text shown in the DOM; null when it isn't a number
+  function parseReactionCount(count) {
+    const value = parseInt(count, 10);
+    return Number.isNaN(value) ? null : value;
+  }
+
+  function extractPoll(messageEl, data) {
+    const pollEl = messageEl.querySelector(SELECTORS.poll);
+    if (!pollEl) return;
+
+    const answers = [];
+    pollEl.querySelectorAll(SELECTORS.pollAnswer).forEach(answerEl => {
+      // Some layouts wrap an answer in another answer_ element; keep the outermost
+      if (answerEl.parentElement?.closest(SELECTORS.pollAnswer)) return;
+      const textEl = answerEl.querySelector(SELECTORS.pollAnswerText);
+      const percentageText = answerEl.querySelector(SELECTORS.pollPercentage)?.textContent || '';
+      const votesText = answerEl.querySelector(SELECTORS.pollVotes)?.textContent || '';
+      const emojiImg = answerEl.querySelector('img');
+      answers.push({
+        text: (textEl || answerEl).textContent.replace(percentageText, '').replace(votesText, '').trim(),
+        emoji: emojiImg ? (emojiImg.getAttribute('alt') || emojiImg.src) : null,
+        percentage: parseCount(percentageText.match(/\d+\s*%/)?.[0]),
+        votes: parseCount(votesText)
+      });
+    });
+
+    const footerText = pollEl.querySelector(SELECTORS.pollFooter)?.textContent.replace(/\s+/g, ' ').trim() || '';
+    data.poll = {
+      question: pollEl.querySelector(SELECTORS.pollQuestion)?.textContent.trim() || '',
+      answers,
+      totalVotes: parseCount(footerText.match(/\d[\d,.]*\s*votes?/i)?.[0]),
+      status: footerText
+    };
+  }
+
+  // Button rows and select menus attached to bot messages
+  function extractComponents(messageEl, data) {
+    messageEl.querySelectorAll(SELECTORS.componentRow).forEach(rowEl => {
+      if (rowEl.closest(SELECTORS.poll) || rowEl.parentElement?.closest(SELECTORS.componentRow)) return;
+
+      const row = [];
+      rowEl.querySelectorAll(`${SELECTORS.componentButton}, ${SELECTORS.componentSelect}`).forEach(el => {
+        if (el.parentElement?.closest(`${SELECTORS.componentButton}, ${SELECTORS.componentSelect}`)) return;
+        const emojiImg = el.querySelector('img');
+        const label = el.textContent.replace(/\s+/g, ' ').trim();
+
+        if (el.matches(SELECTORS.componentSelect) && !el.matches(SELECTORS.componentButton)) {
+          row.push({ type: 'select', label, url: null, emoji: null, disabled: el.getAttribute('aria-disabled') === 'true' });
+        } else {
+          const url = el.tagName === 'A' ? el.href : null;
+          row.push({
+            type: url ? 'link' : 'button',
+            label,
+            url,
+            emoji: emojiImg ? (emojiImg.getAttribute('alt') || emojiImg.src) : null,
+            disabled: el.disabled || el.getAttribute('aria-disabled') === 'true'
+          });
+        }
+      });
+      if (row.length > 0) data.components.push(row);
+    });
+  }
+
+  // Thread starters carry a "N Messages" accessory that links to the thread.
+  // Threads started from a message reuse that message's id as the channel id.
+  function extractThread(messageEl, data) {
+    const accessory = messageEl.querySelector(SELECTORS.threadAccessory);
+    if (!accessory) return;
+
+    const link = accessory.querySelector(SELECTORS.channelLink);
+    const linkedId = (link?.getAttribute('href') || '').match(/\/channels\/[^/]+\/(\d+)/)?.[1];
+    const nameEl = accessory.querySelector(SELECTORS.threadName);
+    const countMatch = accessory.textContent.match(/(\d[\d,.]*)\s*(messages?|replies|reply)/i);
+
+    data.thread = {
+      id: linkedId || parseMessageElementId(data.id).messageId,
+      name: nameEl?.textContent.trim() || '',
+      messageCount: countMatch ? parseInt(countMatch[1].replace(/[,.]/g, ''), 10) : null,
+      messages: []
+    };
+  }
+
   function extractUsernameColor(el) {
     if (!el) return '';
     const color = window.getComputedStyle(el).color;
@@ -900,7 +1701,7 @@
     let attempts = 0;
     // Increased from 10 to 50 to handle very long message chains
     while (prevEl && attempts < 50) {
-      if (prevEl.matches?.(SELECTORS.message)) {
+      if (prevEl.matches?.(SELECTORS.message) && !prevEl.querySelector(SELECTORS.systemMessage)) {
         const usernameEl = findUsernameElement(prevEl);
         if (usernameEl?.textContent?.trim()) {
           return {
@@ -915,11 +1716,24 @@
     return null;
   }
 
+  // The reply preview renders the original message's content element, whose
+  // id is message-content-<messageId>; jump links are the fallback
+  function getRepliedMessageId(repliedMessageEl) {
+    const contentEl = repliedMessageEl.querySelector(SELECTORS.repliedMessageContent);
+    const fromContent = contentEl?.id.match(/^message-content-(\d+)$/)?.[1];
+    if (fromContent) return fromContent;
+
+    const href = repliedMessageEl.querySelector(SELECTORS.channelLink)?.getAttribute('href') || '';
+    return href.match(/\/channels\/[^/]+\/\d+\/(\d+)/)?.[1] || null;
+  }
+
   function extractMessageData(messageEl, options) {
     if (!messageEl) return null;
 
     const data = {
       id: getMessageId(messageEl),
+      type: 'default',
+      systemType: null,
       username: '',
       usernameColor: '',
       avatar: '',
@@ -931,13 +1745,27 @@
       attachments: [],
       reactions: [],
       embeds: [],
-      replyTo: null
+      mentions: [],
+      replyTo: null,
+      interaction: null,
+      poll: null,
+      components: [],
+      thread: null,
+      edited: false,
+      editedAt: null,
+      pinned: false,
+      isBot: false,
+      botTag: null
     };
 
+    const systemEl = messageEl.querySelector(SELECTORS.systemMessage);
+    if (systemEl) return extractSystemMessage(systemEl, messageEl, data, options);
+
     const usernameEl = findUsernameElement(messageEl);
     if (usernameEl) {
       data.username = usernameEl.textContent.trim();
       data.usernameColor = extractUsernameColor(usernameEl);
+      extractBotTag(usernameEl, data);
     } else if (userCache.lastUsername) {
       data.username = userCache.lastUsername;
       data.usernameColor = userCache.getColor(data.username) || '';
@@ -956,16 +1784,32 @@
       } else {
         data.usernameColor = userCache.getColor(data.username) || '';
       }
+      // Grouped follow-up messages have no header, so no BOT tag of their own
+      if (data.botTag) {
+        userCache.setBotTag(data.username, data.botTag);
+      } else if (userCache.getBotTag(data.username)) {
+        data.isBot = true;
+        data.botTag = userCache.getBotTag(data.username);
+      }
     }
 
     const repliedMessageEl = messageEl.querySelector(SELECTORS.repliedMessage);
-    if (repliedMessageEl) {
+    const commandEl = repliedMessageEl?.querySelector(SELECTORS.interactionCommand);
+    if (commandEl) {
+      // Interaction headers reuse the reply bar layout
+      data.interaction = {
+        username: repliedMessageEl.querySelector('[class*="username"]')?.textContent.trim() || '',
+        commandName: commandEl.textContent.trim().replace(/^\//, '')
+      };
+    } else if (repliedMessageEl) {
       const replyUsername = repliedMessageEl.querySelector('[class*="username"]');
       const replyContent = repliedMessageEl.querySelector('[class*="repliedTextContent"]');
       data.replyTo = {
+        messageId: getRepliedMessageId(repliedMessageEl),
         username: replyUsername?.textContent?.trim() || '',
         content: replyContent?.textContent?.trim() || ''
       };
+      data.type = 'reply';
     }
 
     if (options.includeAvatars) extractAvatar(messageEl, data);
@@ -978,44 +1822,124 @@
     }
 
     extractContent(messageEl, data);
+    extractEdited(messageEl, data);
+    data.pinned = !!messageEl.querySelector(SELECTORS.pinnedMarker);
     if (options.includeImages) {
       extractImages(messageEl, data);
       extractStickers(messageEl, data);
     }
+    extractAttachments(messageEl, data);
     extractEmbeds(messageEl, data, options);
+    extractPoll(messageEl, data);
+    extractComponents(messageEl, data);
     if (options.includeReactions) extractReactions(messageEl, data);
+    extractThread(messageEl, data);
 
-    if (!data.content && !data.images.length && !data.stickers.length && !data.embeds.length && !data.username) {
+    if (!data.content && !data.images.length && !data.stickers.length && !data.attachments.length && !data.embeds.length && !data.poll && !data.components.length && !data.username) {
       return null;
     }
 
     return data;
   }
 
-  async function scrollAndCollectMessages(startFromId, endAtId, options) {
-    const scroller = getMessagesScroller();
+  // Brings a message into view, asking Discord's router to load it when it is
+  // no longer rendered (e.g. after a reload the view starts at the bottom)
+  async function jumpToMessage(elementId) {
+    let messageEl = document.getElementById(elementId);
+
+    if (!messageEl) {
+      const { channelId, messageId } = parseMessageElementId(elementId);
+      if (!channelId || !messageId) return null;
+
+      const guildId = getChannelInfo().guildId || '@me';
+      history.pushState(null, '', `/channels/${guildId}/${channelId}/${messageId}`);
+      window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+
+      for (let i = 0; i < CONFIG.jumpToMessageAttempts && !messageEl; i++) {
+        await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay));
+        messageEl = document.getElementById(elementId);
+      }
+    }
+
+    if (messageEl) messageEl.scrollIntoView({ block: 'start' });
+    return messageEl;
+  }
+
+  // `channelId` limits collection to one channel's messages (used for threads);
+  // `checkpoint: false` collects without saving or clearing resumable progress
+  async function scrollAndCollectMessages(startFromId, endAtId, options, signal = null, { channelId = null, checkpoint = true } = {}) {
+    const collectedMessages = new Map();
+    const checkpointId = checkpoint ? getCheckpointId() : null;
+    const messageSelector = getChannelMessageSelector(channelId);
+    let savedCount = 0;
+
+    // Resume: seed with the checkpointed messages and continue after the last one
+    if (options.resume) {
+      const checkpoint = await checkpointStore.load(checkpointId);
+      if (!checkpoint) {
+        throw new Error('No saved export to resume in this channel');
+      }
+      checkpoint.messages.forEach(msg => collectedMessages.set(msg.id, msg));
+      savedCount = collectedMessages.size;
+      startFromId = checkpoint.lastMessageId;
+      endAtId = checkpoint.endAtId;
+
+      reportProgress(5, `Resuming after ${savedCount} messages...`);
+      await jumpToMessage(startFromId);
+    }
+
+    const scroller = getMessagesScroller(channelId);
     if (!scroller) {
       throw new Error('Could not find messages scroller');
     }
 
     userCache.reset();
 
-    const collectedMessages = new Map();
+    const saveCheckpoint = async () => {
+      if (!checkpoint || collectedMessages.size === savedCount) return;
+      const messages = Array.from(collectedMessages.values());
+      const { resume, ...checkpointOptions } = options;
+      try {
+        await checkpointStore.save(checkpointId, {
+          channelName: getChannelName(),
+          lastMessageId: messages[messages.length - 1].id,
+          endAtId,
+          options: checkpointOptions
+        }, messages, savedCount);
+        savedCount = messages.length;
+      } catch (e) {
+        console.warn('Could not save export checkpoint:', e);
+      }
+    };
+
+    const fromTime = parseDateOption(options.fromDate);
+    const toTime = parseDateOption(options.toDate);
     let noChangeCount = 0;
     let foundStartMessage = !startFromId; // If no start, collect from beginning
     let foundEndMessage = false;
     let reachedBottom = false;
 
-    // If no start point, scroll to the very top first
+    // Oldest message currently rendered, used to stop scrolling up once the start date is loaded
+    const getFirstLoadedMessageTime = () => {
+      const firstEl = document.querySelector(messageSelector);
+      return firstEl ? getMessageTime(firstEl) : null;
+    };
+
+    // If no start point, scroll to the very top (or back to the start date) first
     if (!startFromId) {
+      const scrollText = fromTime ? 'Scrolling to start date...' : 'Scrolling to top...';
       updateExportProgress(5);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 5, text: 'Scrolling to top...' });
+      reportProgress(5, scrollText);
 
       // Scroll to top
       let scrollUpAttempts = 0;
       let lastScrollTop = scroller.scrollTop;
 
       while (scrollUpAttempts < CONFIG.maxScrollAttempts) {
+        throwIfCancelled(signal);
+        const firstLoadedTime = getFirstLoadedMessageTime();
+        if (fromTime && firstLoadedTime !== null && firstLoadedTime < fromTime) break;
+
         scroller.scrollTop = 0;
         await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay));
 
@@ -1030,11 +1954,14 @@
 
         const scrollProgress = Math.min(15, 5 + scrollUpAttempts);
         updateExportProgress(scrollProgress);
-        chrome.runtime.sendMessage({
-          action: 'progressUpdate',
-          percent: scrollProgress,
-          text: 'Scrolling to top...'
-        });
+        reportProgress(scrollProgress, scrollText);
+      }
+
+      // Jump to the first message inside the date range instead of collecting from the top
+      if (fromTime) {
+        const firstInRange = Array.from(document.querySelectorAll(messageSelector))
+          .find(el => (getMessageTime(el) ?? fromTime) >= fromTime);
+        if (firstInRange) firstInRange.scrollIntoView({ block: 'start' });
       }
 
       await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay * 2));
@@ -1057,8 +1984,13 @@
     while (scrollAttempts < CONFIG.maxScrollAttempts && !reachedBottom) {
       scrollAttempts++;
 
-      const messageElements = document.querySelectorAll(SELECTORS.message);
-      const messageArray = Array.from(messageElements);
+      if (signal?.aborted) {
+        await saveCheckpoint();
+        throwIfCancelled(signal, Array.from(collectedMessages.values()));
+      }
+
+      const messageElements = document.querySelectorAll(messageSelector);
+      const messageArray = Array.from(messageElements);
       const startElement = startFromId ? document.getElementById(startFromId) : null;
       const endElement = endAtId ? document.getElementById(endAtId) : null;
 
@@ -1066,6 +1998,15 @@
         const msgId = getMessageId(msgEl);
         if (!msgId) continue;
 
+        // Date range bounds
+        const msgTime = (fromTime || toTime) ? getMessageTime(msgEl) : null;
+        if (toTime && msgTime !== null && msgTime > toTime) {
+          foundEndMessage = true;
+          reachedBottom = true;
+          break;
+        }
+        if (fromTime && msgTime !== null && msgTime < fromTime) continue;
+
         // Check if we reached end point
         if (endAtId && msgId === endAtId) {
           foundEndMessage = true;
@@ -1127,6 +2068,10 @@
         break;
       }
 
+      if (scrollAttempts % CONFIG.checkpointInterval === 0) {
+        await saveCheckpoint();
+      }
+
       const prevScrollTop = scroller.scrollTop;
       const prevScrollHeight = scroller.scrollHeight;
       const prevMessageCount = collectedMessages.size;
@@ -1171,18 +2116,24 @@
 
       const progress = Math.min(55, 20 + (scrollAttempts * 35 / CONFIG.maxScrollAttempts));
       updateExportProgress(progress);
-      chrome.runtime.sendMessage({
-        action: 'progressUpdate',
-        percent: progress,
-        text: `Loading messages... (${collectedMessages.size} found)`
-      });
+      reportProgress(progress, `Loading messages... (${collectedMessages.size} found)`);
+    }
+
+    // Keep the checkpoint when the scroll limit cut collection short, so it can be resumed
+    if (checkpoint && !reachedBottom && !foundEndMessage) {
+      await saveCheckpoint();
+      reportProgress(55, `Scroll limit reached after ${collectedMessages.size} messages - use Resume export to continue`);
+    } else if (checkpoint) {
+      await checkpointStore.clear(checkpointId).catch(() => {});
     }
 
     if (startFromId && !foundStartMessage) {
       console.warn('Start message not found, collecting all visible messages');
-      const messageElements = document.querySelectorAll(SELECTORS.message);
+      const messageElements = document.querySelectorAll(messageSelector);
       messageElements.forEach((msgEl) => {
         const msgId = getMessageId(msgEl);
+        const msgTime = getMessageTime(msgEl);
+        if (msgTime !== null && ((fromTime && msgTime < fromTime) || (toTime && msgTime > toTime))) return;
         if (msgId && !collectedMessages.has(msgId)) {
           const messageData = extractMessageData(msgEl, options);
           if (messageData) {
@@ -1195,6 +2146,538 @@
     return Array.from(collectedMessages.values());
   }
 
+  // --- THREADS & FORUMS ---
+  // Threads and forum posts are channels of their own. They are exported by
+  // navigating to each one in turn, collecting it with the same scroll pipeline
+  // and nesting the result under the parent message as `thread.messages`.
+
+  // Navigates Discord's router to a channel and waits for its messages to render
+  async function openChannel(channelId, guildId = getChannelInfo().guildId || '@me') {
+    history.pushState(null, '', `/channels/${guildId}/${channelId}`);
+    window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+
+    const selector = getChannelMessageSelector(channelId);
+    for (let i = 0; i < CONFIG.channelLoadAttempts; i++) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay));
+      if (document.querySelector(selector)) return true;
+    }
+    return false;
+  }
+
+  async function returnToPath(path) {
+    if (window.location.pathname === path) return;
+    history.pushState(null, '', path);
+    window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+    await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay * 2));
+  }
+
+  // Collects a whole thread; date bounds only apply to the parent channel
+  async function collectChannelMessages(channelId, options, signal) {
+    if (!(await openChannel(channelId))) {
+      console.warn('Thread did not load:', channelId);
+      return [];
+    }
+    const threadOptions = { ...options, resume: false, lastExport: null, fromDate: null, toDate: null };
+    return scrollAndCollectMessages(null, null, threadOptions, signal, { channelId, checkpoint: false });
+  }
+
+  // Opens every thread started in `messages` and nests its messages under the starter
+  async function collectThreads(messages, options, signal) {
+    const starters = messages.filter(msg => msg.thread?.id);
+    const originalPath = window.location.pathname;
+
+    try {
+      for (let i = 0; i < starters.length; i++) {
+        throwIfCancelled(signal, messages);
+        const { thread } = starters[i];
+        reportProgress(55, `Collecting thread ${i + 1}/${starters.length}: ${thread.name || thread.id}`);
+
+        const parentId = parseMessageElementId(starters[i].id).messageId;
+        const threadMessages = await collectChannelMessages(thread.id, options, signal);
+        // The thread view repeats its starter message at the top
+        thread.messages = threadMessages.filter(msg => parseMessageElementId(msg.id).messageId !== parentId);
+      }
+    } catch (error) {
+      if (error.cancelled) error.partialMessages = messages;
+      throw error;
+    } finally {
+      await returnToPath(originalPath);
+    }
+
+    return messages;
+  }
+
+  function isForumChannel() {
+    return !!document.querySelector(SELECTORS.forumPost) && !document.querySelector(SELECTORS.message);
+  }
+
+  function getForumPostInfo(card) {
+    const itemId = card.closest('[data-item-id]')?.getAttribute('data-item-id');
+    const href = card.querySelector(SELECTORS.channelLink)?.getAttribute('href') || '';
+    const id = (itemId && /^\d+$/.test(itemId)) ? itemId : href.match(/\/channels\/[^/]+\/(\d+)/)?.[1];
+    if (!id) return null;
+
+    const titleEl = card.querySelector(SELECTORS.forumPostTitle);
+    return { id, name: (titleEl || card).textContent.trim().split('\n')[0].substring(0, 200) };
+  }
+
+  // Scrolls the forum post list to the end, gathering every post id and title
+  async function collectForumPostList(signal) {
+    const posts = new Map();
+    const firstCard = document.querySelector(SELECTORS.forumPost);
+    const scroller = firstCard?.closest(SELECTORS.scroller);
+    let noChangeCount = 0;
+
+    for (let attempt = 0; attempt < CONFIG.maxScrollAttempts; attempt++) {
+      throwIfCancelled(signal);
+      const prevCount = posts.size;
+      document.querySelectorAll(SELECTORS.forumPost).forEach(card => {
+        const post = getForumPostInfo(card);
+        if (post && !posts.has(post.id)) posts.set(post.id, post);
+      });
+
+      reportProgress(10, `Listing forum posts... (${posts.size} found)`);
+      if (!scroller) break;
+
+      const prevScrollTop = scroller.scrollTop;
+      scroller.scrollTop = scroller.scrollTop + scroller.clientHeight * 0.8;
+      await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay));
+
+      if (posts.size === prevCount && Math.abs(scroller.scrollTop - prevScrollTop) < 5) {
+        noChangeCount++;
+        if (noChangeCount >= CONFIG.maxNoChangeAttempts) break;
+      } else {
+        noChangeCount = 0;
+      }
+    }
+
+    return Array.from(posts.values());
+  }
+
+  // Forum mode: every post becomes a top-level message (the post's opening
+  // message) with the rest of the post nested as its thread
+  async function collectForumPosts(options, signal) {
+    const fromTime = parseDateOption(options.fromDate);
+    const toTime = parseDateOption(options.toDate);
+    const originalPath = window.location.pathname;
+    const posts = (await collectForumPostList(signal)).filter(post => {
+      const createdAt = snowflakeToTimestamp(post.id);
+      return createdAt === null || ((!fromTime || createdAt >= fromTime) && (!toTime || createdAt <= toTime));
+    });
+    // Oldest post first, matching channel exports
+    posts.sort((a, b) => (snowflakeToTimestamp(a.id) || 0) - (snowflakeToTimestamp(b.id) || 0));
+
+    const messages = [];
+    try {
+      for (let i = 0; i < posts.length; i++) {
+        throwIfCancelled(signal, messages);
+        const post = posts[i];
+        reportProgress(15 + Math.floor((i / posts.length) * 40), `Collecting post ${i + 1}/${posts.length}: ${post.name}`);
+
+        const postMessages = await collectChannelMessages(post.id, options, signal);
+        if (postMessages.length === 0) continue;
+
+        const starter = postMessages.find(msg => parseMessageElementId(msg.id).messageId === post.id) || postMessages[0];
+        const replies = postMessages.filter(msg => msg !== starter);
+        starter.thread = { id: post.id, name: post.name, messageCount: replies.length, messages: replies };
+        messages.push(starter);
+      }
+    } catch (error) {
+      if (error.cancelled) error.partialMessages = messages;
+      throw error;
+    } finally {
+      await returnToPath(originalPath);
+    }
+
+    return messages;
+  }
+
+  // Render order for the exporters: each thread's messages follow their starter,
+  // wrapped in threadStart/threadEnd markers so formats can open and close a block
+  function flattenThreadEntries(messages) {
+    const entries = [];
+    messages.forEach(msg => {
+      entries.push({ msg });
+      if (!msg.thread) return;
+      entries.push({ threadStart: msg.thread });
+      (msg.thread.messages || []).forEach(reply => entries.push({ msg: reply, inThread: true }));
+      entries.push({ threadEnd: msg.thread });
+    });
+    return entries;
+  }
+
+  function getMessagesWithThreads(messages) {
+    return messages.flatMap(msg => [msg, ...(msg.thread?.messages || [])]);
+  }
+
+  function describeThread(thread) {
+    const count = thread.messages?.length || thread.messageCount;
+    const name = thread.name || 'Thread';
+    return count ? `${name} · ${count} message${count === 1 ? '' : 's'}` : name;
+  }
+
+  // --- FILTERS ---
+  // Optional stage between collection and rendering, set by `options.filters`:
+  //   { mode: 'keep' | 'drop', authors: [names], text, regex, types: [FILTER_TYPES keys] }
+  // A message matches when it meets every criterion that is set. 'keep' exports the
+  // matching messages and 'drop' everything else. Thread replies are filtered too;
+  // a thread starter stays as context while any of its replies do.
+
+  const FILTER_TYPES = {
+    image: { label: 'has an image', test: msg => msg.images.length > 0 },
+    embed: { label: 'has an embed', test: msg => msg.embeds.length > 0 },
+    attachment: { label: 'has an attachment', test: msg => msg.attachments.length > 0 },
+    bot: { label: 'is from a bot', test: msg => msg.isBot },
+    reply: { label: 'is a reply', test: msg => !!msg.replyTo }
+  };
+
+  function hasActiveFilters(filters) {
+    return !!filters && (filters.authors?.length > 0 || !!filters.text || !!filters.regex || filters.types?.length > 0);
+  }
+
+  // Accepts a bare pattern (case-insensitive) or /pattern/flags
+  function parseFilterRegex(source, label = 'filter regex', extraFlags = '') {
+    const literal = source.match(/^\/(.*)\/([a-z]*)$/s);
+    try {
+      return literal
+        ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '') + extraFlags)
+        : new RegExp(source, 'i' + extraFlags);
+    } catch (e) {
+      throw new Error(`Invalid ${label}: ${e.message}`);
+    }
+  }
+
+  // Returns a function that filters a list of collected messages
+  function createMessageFilter(filters) {
+    const authors = (filters.authors || []).map(name => name.trim().toLowerCase()).filter(Boolean);
+    const text = (filters.text || '').toLowerCase();
+    const regex = filters.regex ? parseFilterRegex(filters.regex) : null;
+    const types = (filters.types || []).filter(type => FILTER_TYPES[type]);
+
+    const matches = msg =>
+      (authors.length === 0 || authors.includes((msg.username || '').toLowerCase())) &&
+      (!text || (msg.contentText || '').toLowerCase().includes(text)) &&
+      (!regex || regex.test(msg.contentText || '')) &&
+      types.every(type => FILTER_TYPES[type].test(msg));
+    const keep = filters.mode === 'drop' ? msg => !matches(msg) : matches;
+
+    return messages => messages.flatMap(msg => {
+      if (!msg.thread?.messages) return keep(msg) ? [msg] : [];
+      const replies = msg.thread.messages.filter(keep);
+      if (!keep(msg) && replies.length === 0) return [];
+      return [{ ...msg, thread: { ...msg.thread, messages: replies } }];
+    });
+  }
+
+  // One-line summary for transcript headers
+  function describeFilters(filters) {
+    const parts = [];
+    if (filters.authors?.length) parts.push(`by ${filters.authors.join(' or ')}`);
+    if (filters.text) parts.push(`containing "${filters.text}"`);
+    if (filters.regex) parts.push(`matching ${filters.regex}`);
+    (filters.types || []).forEach(type => {
+      if (FILTER_TYPES[type]) parts.push(`that ${FILTER_TYPES[type].label}`);
+    });
+    return `${filters.mode === 'drop' ? 'Leaving out' : 'Only'} messages ${parts.join(', ')}`;
+  }
+
+  // --- ANONYMIZATION ---
+  // Replaces every name with a pseudonym numbered by first appearance (User 1,
+  // User 2...), drops avatars and name colors, and redacts emails, phone numbers,
+  // invite links and the custom `redactPatterns` in message text, embeds and reply
+  // snippets. Names are only replaced where they are known to be names: authors,
+  // mentions, replies, interactions and the user a system message is about.
+  // Ordinary words are never matched against names.
+
+  const REDACTIONS = [
+    { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+    { pattern: /(?:https?:\/\/)?(?:www\.)?(?:discord(?:app)?\.com\/invite|discord\.gg)\/[\w-]+/gi, replacement: '[invite]' },
+    // 8 to 15 digits, optionally grouped; ISO dates and snowflake ids are left alone
+    {
+      pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}(?!\w)/g,
+      replacement: '[phone]',
+      accept: match => {
+        const digits = match.replace(/\D/g, '').length;
+        return digits >= 8 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(match);
+      }
+    }
+  ];
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Returns text -> redacted text, with custom patterns applied after the built-in ones
+  function createRedactor(customPatterns = []) {
+    const redactions = [
+      ...REDACTIONS,
+      ...customPatterns.map(source => ({ pattern: parseFilterRegex(source, 'redaction pattern', 'g'), replacement: '[redacted]' }))
+    ];
+    return text => redactions.reduce((result, { pattern, replacement, accept }) =>
+      result.replace(pattern, match => (!accept || accept(match)) ? replacement : match), text || '');
+  }
+
+  function createPseudonymizer(messages) {
+    const pseudonyms = new Map();
+    const add = name => {
+      const key = (name || '').trim().toLowerCase();
+      if (key && !pseudonyms.has(key)) pseudonyms.set(key, `User ${pseudonyms.size + 1}`);
+    };
+    messages.forEach(msg => {
+      add(msg.username);
+      add(msg.replyTo?.username);
+      add(msg.interaction?.username);
+      (msg.mentions || []).filter(m => m.type === 'user').forEach(m => add(m.name));
+    });
+
+    // Longest names first so "@Ann Lee" wins over "@Ann"
+    const names = Array.from(pseudonyms.keys()).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const mentionPattern = names.length
+      ? new RegExp(`@(?:${names.join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+      : null;
+    const find = value => pseudonyms.get((value || '').trim().toLowerCase()) || null;
+    const name = value => find(value) || value;
+
+    return {
+      name,
+      find,
+      // "@name" in plain-text snippets such as reply previews
+      mentions: text => mentionPattern ? (text || '').replace(mentionPattern, match => `@${name(match.slice(1))}`) : text
+    };
+  }
+
+  // The name a system message is about ("alice joined the party") as it appears
+  // in that message's text
+  function createSubjectReplacer(subject, replacement) {
+    if (!subject || subject === replacement) return text => text;
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(subject)}(?![\\p{L}\\p{N}_])`, 'gu');
+    return text => (text || '').replace(pattern, replacement);
+  }
+
+  // Applies `transformText` to the text of an HTML fragment, renames user mentions
+  // and usernames, and drops links whose target gives away what was redacted
+  function anonymizeHtml(html, transformText, redact, pseudonym) {
+    if (!html) return html;
+    const container = document.createElement('div');
+    container.innerHTML = html;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(node => {
+      node.textContent = transformText(node.textContent);
+    });
+
+    container.querySelectorAll('[data-mention-type="user"]').forEach(el => {
+      const pseudonymName = pseudonym.name(el.getAttribute('data-mention-name'));
+      el.setAttribute('data-mention-name', pseudonymName);
+      el.textContent = `@${pseudonymName}`;
+    });
+    // System messages name their user in a username element
+    container.querySelectorAll(SELECTORS.messageUsername).forEach(el => {
+      el.textContent = pseudonym.name(el.textContent.trim());
+    });
+    container.querySelectorAll('a[href]').forEach(link => {
+      const href = link.getAttribute('href');
+      if (redact(href) !== href || /^mailto:/i.test(href)) link.removeAttribute('href');
+    });
+    container.querySelectorAll('[title]').forEach(el => {
+      el.setAttribute('title', transformText(el.getAttribute('title')));
+    });
+
+    return container.innerHTML;
+  }
+
+  function anonymizeMessages(messages, redact) {
+    const pseudonym = createPseudonymizer(messages);
+    const transformText = text => pseudonym.mentions(redact(text));
+    const transformHtml = html => anonymizeHtml(html, transformText, redact, pseudonym);
+
+    messages.forEach(msg => {
+      const username = msg.username;
+      msg.username = pseudonym.name(username);
+      msg.usernameColor = '';
+      msg.avatar = '';
+      if (msg.type === 'system') {
+        const replaceSubject = createSubjectReplacer(username, msg.username);
+        const transformSystemText = text => replaceSubject(transformText(text));
+        msg.content = anonymizeHtml(msg.content, transformSystemText, redact, pseudonym);
+        msg.contentText = transformSystemText(msg.contentText);
+      } else {
+        msg.content = transformHtml(msg.content);
+        msg.contentText = transformText(msg.contentText);
+      }
+      msg.mentions = (msg.mentions || []).map(mention => mention.type === 'user'
+        ? { ...mention, name: pseudonym.name(mention.name), color: null }
+        : mention);
+      if (msg.replyTo) {
+        msg.replyTo = {
+          ...msg.replyTo,
+          username: pseudonym.name(msg.replyTo.username),
+          content: transformText(msg.replyTo.content)
+        };
+      }
+      if (msg.interaction) {
+        msg.interaction = { ...msg.interaction, username: pseudonym.name(msg.interaction.username) };
+      }
+      msg.embeds = (msg.embeds || []).map(embed => ({
+        ...embed,
+        title: transformText(embed.title),
+        author: transformText(embed.author),
+        description: transformHtml(embed.description),
+        fields: embed.fields.map(field => ({ name: transformText(field.name), value: transformHtml(field.value) })),
+        footer: transformText(embed.footer)
+      }));
+      if (msg.poll) {
+        msg.poll = {
+          ...msg.poll,
+          question: transformText(msg.poll.question),
+          answers: msg.poll.answers.map(answer => ({ ...answer, text: transformText(answer.text) })),
+          status: transformText(msg.poll.status)
+        };
+      }
+      // A link button whose target was redacted is kept as a plain button
+      msg.components = (msg.components || []).map(row => row.map(component => {
+        const linkRedacted = !!component.url && redact(component.url) !== component.url;
+        return {
+          ...component,
+          type: linkRedacted ? 'button' : component.type,
+          label: transformText(component.label),
+          url: linkRedacted ? null : component.url
+        };
+      }));
+      if (msg.thread) {
+        msg.thread = { ...msg.thread, name: transformText(msg.thread.name) };
+      }
+      msg.attachments = (msg.attachments || []).map(att => ({
+        ...att,
+        filename: redact(att.filename),
+        url: redact(att.url)
+      }));
+    });
+    return pseudonym;
+  }
+
+  // Filter and search terms end up in titles, notes and JSON options, so they are
+  // anonymized as well: authors become their pseudonyms ("[user]" when they are
+  // not in the export) and filter text and patterns are hidden
+  function anonymizeExportOptions(exportOptions, pseudonym, redact) {
+    const toPseudonym = value => pseudonym.find(value) || '[user]';
+    if (hasActiveFilters(exportOptions.filters)) {
+      const filters = exportOptions.filters;
+      exportOptions.filters = {
+        ...filters,
+        authors: (filters.authors || []).map(toPseudonym),
+        text: filters.text ? '[redacted]' : '',
+        regex: filters.regex ? '[redacted]' : ''
+      };
+    }
+    if (exportOptions.searchQuery) {
+      exportOptions.searchQuery = pseudonym.mentions(redact(exportOptions.searchQuery)
+        .replace(/\b(from|mentions):(\S+)/gi, (match, key, value) => `${key}:${toPseudonym(value)}`));
+    }
+  }
+
+  // Filters, then anonymizes, the collected messages before any exporter sees them.
+  // Built before collection so invalid patterns fail before any scrolling.
+  function createMessagePreparation(exportOptions) {
+    const filterMessages = hasActiveFilters(exportOptions.filters) ? createMessageFilter(exportOptions.filters) : null;
+    const redact = exportOptions.anonymize ? createRedactor(exportOptions.redactPatterns) : null;
+    return messages => {
+      if (filterMessages) messages = filterMessages(messages);
+      if (redact) {
+        anonymizeExportOptions(exportOptions, anonymizeMessages(getMessagesWithThreads(messages), redact), redact);
+      }
+      return messages;
+    };
+  }
+
+  // --- SEARCH RESULTS ---
+  // Search mode exports the results pane of a Discord search instead of the
+  // channel. Results are collected page by page with extractMessageData and keep
+  // the channel they were posted in as `channel: { id, name }`.
+
+  function getSearchResultsPane() {
+    return document.querySelector(SELECTORS.searchResultsPane);
+  }
+
+  function getSearchQuery() {
+    return document.querySelector(SELECTORS.searchQuery)?.textContent.trim() || '';
+  }
+
+  // Title for exports: the search query in search mode, otherwise the channel name
+  function getExportTitle(options) {
+    return options.searchResults ? `Search results: ${options.searchQuery || getSearchQuery() || 'Discord search'}` : getChannelName();
+  }
+
+  function getSearchResultChannel(messageEl) {
+    const { channelId } = parseMessageElementId(getMessageId(messageEl));
+    const nameEl = messageEl.closest(SELECTORS.searchResultGroup)?.querySelector(SELECTORS.searchResultChannel);
+    const name = nameEl?.textContent.trim().replace(/^#\s*/, '') || (channelId ? `Channel ${channelId}` : '');
+    return { id: channelId, name };
+  }
+
+  function getFirstSearchResultId(pane) {
+    return pane.querySelector(SELECTORS.message)?.id || null;
+  }
+
+  // Clicks "next page" and waits for the first result to change
+  async function goToNextSearchPage(pane) {
+    const nextButton = pane.querySelector(SELECTORS.searchNextPage);
+    if (!nextButton || nextButton.disabled || nextButton.getAttribute('aria-disabled') === 'true') return false;
+
+    const previousFirstId = getFirstSearchResultId(pane);
+    nextButton.click();
+    for (let i = 0; i < CONFIG.channelLoadAttempts; i++) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.scrollDelay));
+      const firstId = getFirstSearchResultId(pane);
+      if (firstId && firstId !== previousFirstId) return true;
+    }
+    return false;
+  }
+
+  async function collectSearchResults(options, signal) {
+    const pane = getSearchResultsPane();
+    if (!pane) {
+      throw new Error('No search results found. Run a Discord search before exporting its results');
+    }
+
+    const fromTime = parseDateOption(options.fromDate);
+    const toTime = parseDateOption(options.toDate);
+    const collected = new Map();
+    userCache.reset();
+
+    try {
+      for (let page = 1; page <= CONFIG.maxSearchPages; page++) {
+        throwIfCancelled(signal, Array.from(collected.values()));
+
+        pane.querySelectorAll(SELECTORS.message).forEach(messageEl => {
+          if (collected.has(messageEl.id)) return;
+          const msgTime = getMessageTime(messageEl);
+          if (msgTime !== null && ((fromTime && msgTime < fromTime) || (toTime && msgTime > toTime))) return;
+
+          // Each result stands alone, so never inherit the previous result's author
+          userCache.lastUsername = '';
+          const data = extractMessageData(messageEl, options);
+          if (!data) return;
+          data.channel = getSearchResultChannel(messageEl);
+          collected.set(messageEl.id, data);
+        });
+
+        reportProgress(Math.min(10 + page * 2, 55), `Collecting search results... page ${page} (${collected.size} messages)`);
+
+        if (!(await goToNextSearchPage(pane))) break;
+      }
+    } catch (error) {
+      if (error.cancelled) error.partialMessages = Array.from(collected.values());
+      throw error;
+    }
+
+    // Discord lists results newest first; exports read oldest first
+    const getTime = (msg) => snowflakeToTimestamp(parseMessageElementId(msg.id).messageId) || Date.parse(msg.timestamp) || 0;
+    return Array.from(collected.values()).sort((a, b) => getTime(a) - getTime(b));
+  }
+
   // --- PDF GENERATION ---
 
   function getPDFStyles() {
@@ -1217,6 +2700,9 @@
       .reply-info::before { content: '↩ '; margin-right: 4px; }
       .reply-username { color: #00aff4; font-weight: 500; margin-right: 6px; }
       .reply-content { color: #949ba4; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; max-width: 400px; }
+      a.reply-link { text-decoration: none; }
+      a.reply-link:hover .reply-content { color: #dbdee1; }
+      .reply-outside { margin-left: 6px; font-style: italic; color: #6d6f78; white-space: nowrap; }
       .message-header { display: flex; align-items: baseline; margin-bottom: 1px; }
       .username { font-weight: 500; color: #f2f3f5; margin-right: 6px; font-size: 14px; }
       .timestamp { font-size: 11px; color: #949ba4; }
@@ -1224,7 +2710,7 @@
       .content a { color: #00aff4; }
       .content img.emoji, .content img[data-type="emoji"] { width: 1.25em; height: 1.25em; vertical-align: -0.3em; object-fit: contain; display: inline; margin: 0 0.03em; }
       .images { margin-top: 4px; }
-      .images img { max-width: 350px; max-height: 250px; border-radius: 4px; margin: 2px 2px 2px 0; display: block; }
+      .images img, .images video { max-width: 350px; max-height: 250px; border-radius: 4px; margin: 2px 2px 2px 0; display: block; }
       .image-container { position: relative; display: inline-block; margin: 2px 2px 2px 0; }
       .gif-container { border: 2px solid #5865f2; border-radius: 6px; padding: 2px; background: #2b2d31; }
       .gif-badge { position: absolute; top: 6px; left: 6px; background: #5865f2; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px; font-weight: 700; text-transform: uppercase; }
@@ -1235,6 +2721,7 @@
       .reaction img { width: 1em; height: 1em; vertical-align: middle; object-fit: contain; display: inline; margin-right: 3px; }
       .reaction-count { margin-left: 3px; color: #b9bbbe; }
       h1 { text-align: center; color: #fff; margin-bottom: 10px; padding-bottom: 10px; border-bottom: 1px solid #3f4147; font-size: 18px; }
+      .export-note { text-align: center; color: #949ba4; font-size: 12px; margin: -4px 0 10px; }
       .embed { margin-top: 4px; padding: 6px 10px 10px 8px; border-left: 4px solid #5865f2; border-radius: 4px; background: #2b2d31; max-width: 450px; }
       .embed-author { display: flex; align-items: center; margin-bottom: 4px; font-size: 12px; font-weight: 500; color: #fff; }
       .embed-title { font-size: 14px; font-weight: 600; color: #00aff4; margin-bottom: 4px; }
@@ -1250,15 +2737,154 @@
       .stickers img, .sticker { max-width: 160px; max-height: 160px; border-radius: 4px; margin: 2px 2px 2px 0; display: block; }
       .sticker-container { position: relative; display: inline-block; margin: 2px 2px 2px 0; }
       .animated-sticker { border: 2px solid #eb459e; border-radius: 6px; padding: 2px; background: #2b2d31; }
+      .lottie-sticker { width: 160px; height: 160px; }
       .sticker-badge { position: absolute; top: 6px; left: 6px; background: #eb459e; color: white; padding: 2px 6px; border-radius: 4px; font-size: 10px; font-weight: 700; }
+      .attachments { margin-top: 4px; display: flex; flex-direction: column; gap: 4px; }
+      .file-card { display: flex; align-items: center; gap: 10px; max-width: 420px; padding: 8px 10px; background: #2b2d31; border: 1px solid #1e1f22; border-radius: 6px; }
+      .file-icon { font-size: 22px; flex-shrink: 0; }
+      .file-info { min-width: 0; display: flex; flex-direction: column; }
+      .file-name { color: #00aff4; font-size: 13px; text-decoration: none; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .file-meta { font-size: 11px; color: #949ba4; }
+      .channel-divider { margin: 12px 0 4px; padding: 4px 8px; font-size: 12px; font-weight: 600; color: #949ba4; border-bottom: 1px solid #3f4147; }
+      .system-message { align-items: center; padding: 4px 8px; }
+      .system-icon { width: 40px; margin-right: 10px; flex-shrink: 0; text-align: center; }
+      .system-content { color: #949ba4; }
+      .system-content .timestamp { margin-left: 6px; }
+      .bot-tag { background: #5865f2; color: #fff; font-size: 10px; font-weight: 600; padding: 0 4px; border-radius: 3px; margin-right: 6px; line-height: 15px; }
+      .edited { font-size: 10px; color: #949ba4; margin-left: 4px; }
+      .pinned-badge { font-size: 11px; color: #f0b232; margin-left: 6px; }
+      .interaction-info { display: flex; align-items: center; gap: 4px; font-size: 11px; color: #949ba4; margin-bottom: 2px; padding-left: 8px; border-left: 2px solid #3f4147; }
+      .command-name { color: #00aff4; font-weight: 500; }
+      .poll { margin-top: 4px; padding: 10px; max-width: 420px; background: #2b2d31; border: 1px solid #1e1f22; border-radius: 8px; }
+      .poll-question { font-weight: 600; color: #f2f3f5; margin-bottom: 8px; }
+      .poll-answer { position: relative; display: flex; justify-content: space-between; gap: 8px; padding: 6px 8px; margin-bottom: 4px; background: #1e1f22; border-radius: 4px; overflow: hidden; }
+      .poll-bar { position: absolute; left: 0; top: 0; bottom: 0; background: rgba(88, 101, 242, 0.35); }
+      .poll-answer-text, .poll-answer-votes { position: relative; font-size: 13px; }
+      .poll-answer-votes { color: #b9bbbe; white-space: nowrap; }
+      .poll-status { font-size: 11px; color: #949ba4; margin-top: 4px; }
+      .components { margin-top: 4px; display: flex; flex-direction: column; gap: 4px; }
+      .component-row { display: flex; flex-wrap: wrap; gap: 6px; }
+      .component { display: inline-block; padding: 4px 12px; border-radius: 3px; font-size: 13px; background: #4e5058; color: #fff; text-decoration: none; }
+      .component-link { color: #fff; }
+      .component-select { min-width: 200px; background: #1e1f22; border: 1px solid #3f4147; color: #949ba4; }
+      .component-disabled { opacity: 0.5; }
+      .mention { background: rgba(88, 101, 242, 0.3); color: #c9cdfb; border-radius: 3px; padding: 0 2px; font-weight: 500; }
+      .thread { margin: 2px 8px 8px 58px; padding: 4px 0 4px 8px; border-left: 2px solid #4e5058; }
+      .thread-header { font-size: 12px; font-weight: 600; color: #949ba4; margin-bottom: 4px; }
+      .thread .message { padding-left: 0; }
     `;
   }
 
-  async function generatePDFContent(messages, options) {
-    clearImageCache();
-    const htmlParts = [`<!DOCTYPE html><html><head><meta charset="UTF-8"><style>${getPDFStyles()}</style></head><body><h1>${escapeHtml(getChannelName())}</h1>`];
+  const ATTACHMENT_ICONS = { file: '📄', video: '🎬', audio: '🎵', voice: '🎤' };
+  const ATTACHMENT_LABELS = { file: 'File', video: 'Video', audio: 'Audio', voice: 'Voice message' };
+  const SYSTEM_MESSAGE_ICONS = {
+    join: '➡️',
+    pin: '📌',
+    boost: '💎',
+    thread: '🧵',
+    call: '📞',
+    channelNameChange: '✏️',
+    channelIconChange: '🖼️',
+    recipientAdd: '➕',
+    recipientRemove: '➖',
+    other: 'ℹ️'
+  };
+
+  function formatPollAnswerStats(answer) {
+    return [
+      answer.percentage !== null ? `${answer.percentage}%` : null,
+      answer.votes !== null ? `${answer.votes} vote${answer.votes === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(' · ');
+  }
+
+  function renderPollHtml(poll) {
+    const answers = poll.answers.map(answer => {
+      const width = answer.percentage !== null ? answer.percentage : 0;
+      return `<div class="poll-answer"><div class="poll-bar" style="width: ${width}%"></div><span class="poll-answer-text">${escapeHtml(answer.text)}</span><span class="poll-answer-votes">${escapeHtml(formatPollAnswerStats(answer))}</span></div>`;
+    }).join('');
+    const status = poll.status ? `<div class="poll-status">${escapeHtml(poll.status)}</div>` : '';
+    return `<div class="poll"><div class="poll-question">📊 ${escapeHtml(poll.question)}</div>${answers}${status}</div>`;
+  }
+
+  function renderComponentsHtml(components) {
+    const rows = components.map(row => '<div class="component-row">' + row.map(component => {
+      const disabledClass = component.disabled ? ' component-disabled' : '';
+      if (component.type === 'link') {
+        return `<a class="component component-link${disabledClass}" href="${escapeHtml(component.url)}" target="_blank">${escapeHtml(component.label)} ↗</a>`;
+      }
+      if (component.type === 'select') {
+        return `<span class="component component-select${disabledClass}">${escapeHtml(component.label || 'Select')} ▾</span>`;
+      }
+      return `<span class="component${disabledClass}">${escapeHtml(component.label)}</span>`;
+    }).join('') + '</div>').join('');
+    return `<div class="components">${rows}</div>`;
+  }
+
+  // Reply targets that are part of the export can be linked to in-document
+  function getExportedMessageIds(messages) {
+    return new Set(getMessagesWithThreads(messages).map(msg => parseMessageElementId(msg.id).messageId).filter(Boolean));
+  }
+
+  function getMessageAnchor(messageId) {
+    return `msg-${messageId}`;
+  }
+
+  function formatEditedLabel(msg, options) {
+    return (options.includeTimestamps && msg.editedAt)
+      ? `(edited ${new Date(msg.editedAt).toLocaleString()})`
+      : '(edited)';
+  }
+
+  // Collects remote <img> sources embedded in message HTML (emoji, inline images)
+  function collectHtmlImageUrls(html, urls) {
+    if (!html) return;
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+    tempDiv.querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src') || '';
+      if (/^https?:/i.test(src)) urls.add(src);
+    });
+  }
+
+  // Swaps remote <img> sources for resolved ones (base64 data or archive paths)
+  function rewriteHtmlImages(html, resolveImage) {
+    if (!html) return html;
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+    tempDiv.querySelectorAll('img').forEach(img => {
+      const resolved = resolveImage(img.getAttribute('src') || '');
+      if (resolved) img.setAttribute('src', resolved);
+    });
+    return tempDiv.innerHTML;
+  }
+
+  // PDF output uses static frames for GIFs; offline output keeps the animation
+  function getImageSource(imgData, offline) {
+    return (offline || !imgData.isGif) ? imgData.url : imgData.staticUrl;
+  }
+
+  // Same for stickers, except Lottie ones: those need the player, so their
+  // <img> always shows the still frame
+  function getStickerSource(sticker, offline) {
+    if (typeof sticker === 'string') return sticker;
+    return (offline && sticker.isAnimated && sticker.format !== 'lottie') ? sticker.url : sticker.staticUrl;
+  }
+
+  // The first letter of the name, or the pseudonym's number in anonymized
+  // exports, where every name starts with "User"
+  function getAvatarPlaceholder(msg, options) {
+    const label = options.anonymize
+      ? ((msg.username || '').match(/\d+$/)?.[0] || '')
+      : (msg.username || 'U').charAt(0).toUpperCase();
+    return `<div class="avatar-placeholder">${escapeHtml(label)}</div>`;
+  }
+
+  function isLottieSticker(sticker) {
+    return typeof sticker === 'object' && sticker.format === 'lottie';
+  }
 
-    // Phase 1: Collect all image URLs for parallel prefetch
+  function collectImageUrls(messages, options, { offline = false } = {}) {
+    messages = getMessagesWithThreads(messages);
     const imageUrls = new Set();
     if (options.includeAvatars) {
       messages.forEach(msg => msg.avatar && imageUrls.add(msg.avatar));
@@ -1266,12 +2892,16 @@
     if (options.includeImages) {
       messages.forEach(msg => {
         msg.images?.forEach(img => {
-          const url = typeof img === 'object' ? img.staticUrl : img;
+          const url = typeof img === 'object' ? getImageSource(img, offline) : img;
           if (url) imageUrls.add(url);
+          // Markdown archives show the poster frame of GIF videos
+          if (offline && img.isVideo && img.staticUrl) imageUrls.add(img.staticUrl);
         });
         msg.stickers?.forEach(sticker => {
-          const url = typeof sticker === 'object' ? sticker.staticUrl : sticker;
+          const url = getStickerSource(sticker, offline);
           if (url) imageUrls.add(url);
+          // The animation data itself, played back by the bundled Lottie player
+          if (offline && isLottieSticker(sticker)) imageUrls.add(sticker.url);
         });
       });
     }
@@ -1279,41 +2909,149 @@
       if (e.thumbnail) imageUrls.add(e.thumbnail);
       if (e.image) imageUrls.add(e.image);
     }));
+    messages.forEach(msg => {
+      collectHtmlImageUrls(msg.content, imageUrls);
+      msg.embeds?.forEach(e => {
+        collectHtmlImageUrls(e.description, imageUrls);
+        e.fields?.forEach(f => collectHtmlImageUrls(f.value, imageUrls));
+      });
+      if (options.includeReactions) {
+        msg.reactions?.forEach(r => collectHtmlImageUrls(r.emoji, imageUrls));
+      }
+    });
+    return imageUrls;
+  }
 
-    // Phase 2: Parallel prefetch images (batched to avoid overwhelming network)
+  // Parallel prefetch (batched to avoid overwhelming network). `onImage` receives
+  // each fetched image right away, before the size-limited cache can evict it.
+  async function prefetchImages(imageUrls, onImage, signal = null) {
     const PREFETCH_BATCH = 10;
     const urlArray = Array.from(imageUrls);
     for (let i = 0; i < urlArray.length; i += PREFETCH_BATCH) {
+      throwIfCancelled(signal);
       const batch = urlArray.slice(i, i + PREFETCH_BATCH);
-      await Promise.all(batch.map(url => getCachedImage(url).catch(() => null)));
-      chrome.runtime.sendMessage({
-        action: 'progressUpdate',
-        percent: 50 + Math.floor((i / urlArray.length) * 30),
-        text: `Prefetching images... (${Math.min(i + PREFETCH_BATCH, urlArray.length)}/${urlArray.length})`
-      });
+      const results = await Promise.all(batch.map(url => getCachedImage(url).catch(() => null)));
+      if (onImage) {
+        batch.forEach((url, j) => {
+          if (results[j]) onImage(url, results[j]);
+        });
+      }
+      reportProgress(50 + Math.floor((i / urlArray.length) * 30), `Prefetching images... (${Math.min(i + PREFETCH_BATCH, urlArray.length)}/${urlArray.length})`);
+    }
+  }
+
+  // --- ANIMATED STICKERS ---
+  // Offline HTML plays Lottie stickers with the lottie-web player from libs/,
+  // inlined into the document so the export keeps working without the extension.
+
+  const LOTTIE_PLAYER_PATH = 'libs/lottie_light.min.js';
+  const LOTTIE_INIT_SCRIPT = `document.querySelectorAll('.lottie-sticker').forEach(function (el) {
+  var data = el.querySelector('.lottie-data');
+  if (!window.lottie || !data) return;
+  var still = el.querySelector('img');
+  if (still) still.remove();
+  lottie.loadAnimation({ container: el, renderer: 'svg', loop: true, autoplay: true, animationData: JSON.parse(data.textContent) });
+});`;
+  let lottiePlayerSource = null;
+
+  async function loadLottiePlayer() {
+    if (lottiePlayerSource === null) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(LOTTIE_PLAYER_PATH));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        lottiePlayerSource = await response.text();
+      } catch (e) {
+        console.warn('Could not load Lottie player:', e.message);
+        lottiePlayerSource = '';
+      }
+    }
+    return lottiePlayerSource;
+  }
+
+  function decodeDataUrlText(dataUrl) {
+    if (!dataUrl || !dataUrl.startsWith('data:')) return null;
+    return new TextDecoder().decode(dataUrlToBytes(dataUrl).bytes);
+  }
+
+  // Keeps a literal "</script" in inlined code or JSON from closing the tag early
+  function escapeInlineScript(text) {
+    return text.replace(/<\/(script)/gi, '<\\/$1');
+  }
+
+  // Builds the styled transcript document with every image embedded. The PDF path
+  // uses static frames for GIFs; with `offline` set the document is meant to be
+  // saved as a standalone .html file, so animated GIFs are kept as well. Passing
+  // `assetPaths` (URL -> archive path) references local files instead of base64;
+  // archives pass the fetched Lottie sticker data in `animations` (URL -> data URL).
+  async function generatePDFContent(messages, options, { offline = false, assetPaths = null, animations = null, signal = null } = {}) {
+    const channelName = escapeHtml(getExportTitle(options));
+    const headExtras = offline ? '<base target="_blank">' : '';
+    const filterNote = hasActiveFilters(options.filters)
+      ? `<p class="export-note">${escapeHtml(describeFilters(options.filters))}</p>`
+      : '';
+    const htmlParts = [`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${channelName}</title>${headExtras}<style>${getPDFStyles()}</style></head><body><h1>${channelName}</h1>${filterNote}`];
+    // Images fetched for this export (URL -> data URL). The shared cache is
+    // size-limited and evicts the oldest entries, so it is not read back here.
+    const fetchedImages = new Map();
+    const resolveImage = assetPaths ? (url) => assetPaths.get(url) || null : (url) => fetchedImages.get(url) || null;
+    const prepareHtml = (html) => rewriteHtmlImages(html, resolveImage);
+    const resolveAnimation = (url) => decodeDataUrlText((animations || fetchedImages).get(url));
+    let hasLottieStickers = false;
+
+    // Phase 1 & 2: Collect all image URLs and prefetch them (archives have done this already)
+    if (!assetPaths) {
+      clearImageCache();
+      await prefetchImages(collectImageUrls(messages, options, { offline }), (url, dataUrl) => fetchedImages.set(url, dataUrl), signal);
+      clearImageCache();
     }
 
-    // Phase 3: Generate HTML (images already cached, so getCachedImage is O(1))
+    // Phase 3: Generate HTML (images already fetched, so lookups are O(1))
     let lastUsername = '';
-    const totalMessages = messages.length;
+    let lastChannelId = null;
+    const exportedIds = getExportedMessageIds(messages);
+    const entries = flattenThreadEntries(messages);
+    const totalMessages = entries.length;
     const BATCH_SIZE = 50;
 
     for (let i = 0; i < totalMessages; i++) {
-      const msg = messages[i];
-      const isSameUser = msg.username && msg.username === lastUsername;
+      const { msg, threadStart, threadEnd } = entries[i];
+      if (threadStart || threadEnd) {
+        htmlParts.push(threadStart ? `<div class="thread"><div class="thread-header">🧵 ${escapeHtml(describeThread(threadStart))}</div>` : '</div>');
+        lastUsername = '';
+        continue;
+      }
+      // Search results from another channel start a new section
+      if (msg.channel && msg.channel.id !== lastChannelId) {
+        htmlParts.push(`<div class="channel-divider"># ${escapeHtml(msg.channel.name)}</div>`);
+        lastChannelId = msg.channel.id;
+        lastUsername = '';
+      }
+      // Timestamp
+      const timestampHtml = (options.includeTimestamps && msg.timestamp)
+        ? `<span class="timestamp">${new Date(msg.timestamp).toLocaleString()}</span>` : '';
+
+      if (msg.type === 'system') {
+        const icon = SYSTEM_MESSAGE_ICONS[msg.systemType] || SYSTEM_MESSAGE_ICONS.other;
+        htmlParts.push(`<div class="message system-message"><span class="system-icon">${icon}</span><div class="message-body system-content">${prepareHtml(msg.content || escapeHtml(msg.contentText))}${timestampHtml}</div></div>`);
+        lastUsername = '';
+        continue;
+      }
+
+      // Search results are not contiguous, so each one keeps its own header
+      const isSameUser = msg.username && msg.username === lastUsername && !msg.channel;
       const hasReply = msg.replyTo && (msg.replyTo.username || msg.replyTo.content);
-      const showHeader = !isSameUser || hasReply;
+      const showHeader = !isSameUser || hasReply || msg.interaction;
 
       // Avatar (cached)
       let avatarHtml = '';
       if (showHeader) {
         if (options.includeAvatars && msg.avatar) {
-          const base64 = imageCache.get(msg.avatar);
-          avatarHtml = base64
-            ? `<img class="avatar" src="${base64}" alt="avatar">`
-            : `<div class="avatar-placeholder">${(msg.username || 'U').charAt(0).toUpperCase()}</div>`;
+          const imageSrc = resolveImage(msg.avatar);
+          avatarHtml = imageSrc
+            ? `<img class="avatar" src="${imageSrc}" alt="avatar">`
+            : getAvatarPlaceholder(msg, options);
         } else if (options.includeAvatars) {
-          avatarHtml = `<div class="avatar-placeholder">${(msg.username || 'U').charAt(0).toUpperCase()}</div>`;
+          avatarHtml = getAvatarPlaceholder(msg, options);
         }
       } else {
         avatarHtml = '<div class="avatar-spacer"></div>';
@@ -1326,13 +3064,16 @@
         for (const imgData of msg.images) {
           const imgUrl = typeof imgData === 'string' ? imgData : imgData.url;
           const isGif = typeof imgData === 'object' && imgData.isGif;
-          const staticUrl = typeof imgData === 'object' ? imgData.staticUrl : imgUrl;
-          const base64 = imageCache.get(staticUrl);
-          if (base64) {
+          const sourceUrl = typeof imgData === 'object' ? getImageSource(imgData, offline) : imgUrl;
+          const imageSrc = resolveImage(sourceUrl);
+          if (imageSrc) {
             if (isGif) {
-              imgParts.push(`<div class="image-container gif-container"><img src="${base64}" alt="GIF"><span class="gif-badge">GIF</span><a href="${imgUrl}" class="gif-link" target="_blank">${imgUrl}</a></div>`);
+              const media = offline && imgData.isVideo
+                ? `<video src="${imageSrc}" autoplay loop muted playsinline></video>`
+                : `<img src="${imageSrc}" alt="GIF">`;
+              imgParts.push(`<div class="image-container gif-container">${media}<span class="gif-badge">GIF</span><a href="${imgUrl}" class="gif-link" target="_blank">${imgUrl}</a></div>`);
             } else {
-              imgParts.push(`<img src="${base64}" alt="image">`);
+              imgParts.push(`<img src="${imageSrc}" alt="image">`);
             }
           }
         }
@@ -1345,25 +3086,40 @@
       if (options.includeImages && msg.stickers?.length > 0) {
         const stickerParts = ['<div class="stickers">'];
         for (const stickerData of msg.stickers) {
-          const stickerUrl = typeof stickerData === 'string' ? stickerData : stickerData.url;
-          const staticUrl = typeof stickerData === 'object' ? stickerData.staticUrl : stickerUrl;
+          const sourceUrl = getStickerSource(stickerData, offline);
           const isAnimated = typeof stickerData === 'object' && stickerData.isAnimated;
-          const base64 = imageCache.get(staticUrl);
-          if (base64) {
-            if (isAnimated) {
-              stickerParts.push(`<div class="sticker-container animated-sticker"><img src="${base64}" alt="Sticker"><span class="sticker-badge">Animated</span></div>`);
+          const imageSrc = resolveImage(sourceUrl);
+          const animationData = offline && isLottieSticker(stickerData) ? resolveAnimation(stickerData.url) : null;
+          if (animationData) {
+            // The still frame shows until the player replaces it
+            hasLottieStickers = true;
+            const still = imageSrc ? `<img src="${imageSrc}" alt="Sticker">` : '';
+            stickerParts.push(`<div class="sticker-container lottie-sticker">${still}<script type="application/json" class="lottie-data">${escapeInlineScript(animationData)}</script></div>`);
+          } else if (imageSrc) {
+            if (isAnimated && !(offline && !isLottieSticker(stickerData))) {
+              stickerParts.push(`<div class="sticker-container animated-sticker"><img src="${imageSrc}" alt="Sticker"><span class="sticker-badge">Animated</span></div>`);
             } else {
-              stickerParts.push(`<img class="sticker" src="${base64}" alt="Sticker">`);
+              stickerParts.push(`<img class="sticker" src="${imageSrc}" alt="Sticker">`);
             }
-          } else if (stickerUrl) {
+          } else if (sourceUrl) {
             // Fallback: use URL directly
-            stickerParts.push(`<img class="sticker" src="${stickerUrl}" alt="Sticker">`);
+            stickerParts.push(`<img class="sticker" src="${sourceUrl}" alt="Sticker">`);
           }
         }
         stickerParts.push('</div>');
         stickersHtml = stickerParts.join('');
       }
 
+      // Attachments (files, video, audio, voice messages)
+      let attachmentsHtml = '';
+      if (msg.attachments?.length > 0) {
+        attachmentsHtml = '<div class="attachments">' + msg.attachments.map(att => {
+          const href = assetPaths?.get(att.url) || att.url;
+          const meta = [ATTACHMENT_LABELS[att.type] || 'File', att.size, att.duration].filter(Boolean).join(' · ');
+          return `<div class="file-card"><span class="file-icon">${ATTACHMENT_ICONS[att.type] || ATTACHMENT_ICONS.file}</span><div class="file-info"><a class="file-name" href="${escapeHtml(href)}" target="_blank">${escapeHtml(att.filename)}</a><span class="file-meta">${escapeHtml(meta)}</span></div></div>`;
+        }).join('') + '</div>';
+      }
+
       // Embeds (cached)
       let embedsHtml = '';
       if (msg.embeds?.length > 0) {
@@ -1372,25 +3128,25 @@
           const style = embed.color ? `border-left-color: ${embed.color};` : '';
           embedParts.push(`<div class="embed" style="${style}">`);
           if (embed.thumbnail) {
-            const b64 = imageCache.get(embed.thumbnail);
-            if (b64) embedParts.push(`<img class="embed-thumbnail" src="${b64}" alt="thumbnail">`);
+            const embedSrc = resolveImage(embed.thumbnail);
+            if (embedSrc) embedParts.push(`<img class="embed-thumbnail" src="${embedSrc}" alt="thumbnail">`);
           }
           if (embed.author) embedParts.push(`<div class="embed-author">${escapeHtml(embed.author)}</div>`);
           if (embed.title) embedParts.push(`<div class="embed-title">${escapeHtml(embed.title)}</div>`);
-          if (embed.description) embedParts.push(`<div class="embed-description">${embed.description}</div>`);
+          if (embed.description) embedParts.push(`<div class="embed-description">${prepareHtml(embed.description)}</div>`);
           if (embed.fields?.length > 0) {
             embedParts.push('<div class="embed-fields">');
             embed.fields.forEach(f => {
               embedParts.push('<div class="embed-field">');
               if (f.name) embedParts.push(`<div class="embed-field-name">${escapeHtml(f.name)}</div>`);
-              if (f.value) embedParts.push(`<div class="embed-field-value">${f.value}</div>`);
+              if (f.value) embedParts.push(`<div class="embed-field-value">${prepareHtml(f.value)}</div>`);
               embedParts.push('</div>');
             });
             embedParts.push('</div>');
           }
           if (embed.image) {
-            const b64 = imageCache.get(embed.image);
-            if (b64) embedParts.push(`<img class="embed-image" src="${b64}" alt="embed image">`);
+            const embedSrc = resolveImage(embed.image);
+            if (embedSrc) embedParts.push(`<img class="embed-image" src="${embedSrc}" alt="embed image">`);
           }
           if (embed.footer) embedParts.push(`<div class="embed-footer">${escapeHtml(embed.footer)}</div>`);
           embedParts.push('</div>');
@@ -1402,215 +3158,1708 @@
       let reactionsHtml = '';
       if (options.includeReactions && msg.reactions?.length > 0) {
         reactionsHtml = '<div class="reactions">' + msg.reactions.map(r =>
-          `<span class="reaction">${r.emoji}<span class="reaction-count">${r.count}</span></span>`
+          `<span class="reaction">${prepareHtml(r.emoji)}<span class="reaction-count">${r.count}</span></span>`
         ).join('') + '</div>';
       }
 
-      // Timestamp & Header
-      const timestampHtml = (options.includeTimestamps && msg.timestamp)
-        ? `<span class="timestamp">${new Date(msg.timestamp).toLocaleString()}</span>` : '';
-      const replyHtml = hasReply
-        ? `<div class="reply-info"><span class="reply-username">${escapeHtml(msg.replyTo.username || 'Unknown')}</span><span class="reply-content">${escapeHtml(msg.replyTo.content || '')}</span></div>` : '';
-      const usernameStyle = msg.usernameColor ? `style="color: ${msg.usernameColor}"` : '';
-      const headerHtml = showHeader
-        ? `<div class="message-header"><span class="username" ${usernameStyle}>${escapeHtml(msg.username || 'Unknown')}</span>${timestampHtml}</div>` : '';
+      // Header
+      let replyHtml = '';
+      if (hasReply) {
+        const replyBody = `<span class="reply-username">${escapeHtml(msg.replyTo.username || 'Unknown')}</span><span class="reply-content">${escapeHtml(msg.replyTo.content || '')}</span>`;
+        const targetId = msg.replyTo.messageId;
+        replyHtml = (targetId && exportedIds.has(targetId))
+          ? `<a class="reply-info reply-link" href="#${getMessageAnchor(targetId)}" target="_self">${replyBody}</a>`
+          : `<div class="reply-info">${replyBody}${targetId ? '<span class="reply-outside">(outside range)</span>' : ''}</div>`;
+      }
+      const usernameStyle = msg.usernameColor ? `style="color: ${msg.usernameColor}"` : '';
+      const botTagHtml = msg.isBot ? `<span class="bot-tag">${escapeHtml(msg.botTag || 'BOT')}</span>` : '';
+      const headerHtml = showHeader
+        ? `<div class="message-header"><span class="username" ${usernameStyle}>${escapeHtml(msg.username || 'Unknown')}</span>${botTagHtml}${timestampHtml}</div>` : '';
+      const flagsHtml = (msg.edited ? `<span class="edited">${escapeHtml(formatEditedLabel(msg, options))}</span>` : '') +
+        (msg.pinned ? '<span class="pinned-badge">📌 Pinned</span>' : '');
+
+      const interactionHtml = msg.interaction
+        ? `<div class="interaction-info"><span class="reply-username">${escapeHtml(msg.interaction.username || 'Unknown')}</span> used <span class="command-name">/${escapeHtml(msg.interaction.commandName)}</span></div>` : '';
+      const pollHtml = msg.poll ? renderPollHtml(msg.poll) : '';
+      const componentsHtml = msg.components?.length > 0 ? renderComponentsHtml(msg.components) : '';
+
+      const messageId = parseMessageElementId(msg.id).messageId;
+      const anchorAttr = messageId ? ` id="${getMessageAnchor(messageId)}"` : '';
+
+      htmlParts.push(`<div class="message"${anchorAttr}>${avatarHtml}<div class="message-body">${replyHtml}${interactionHtml}${headerHtml}<div class="content">${prepareHtml(msg.content || '')}${flagsHtml}</div>${imagesHtml}${stickersHtml}${attachmentsHtml}${embedsHtml}${pollHtml}${componentsHtml}${reactionsHtml}</div></div>`);
+      lastUsername = msg.username || '';
+
+      if (i > 0 && i % BATCH_SIZE === 0) {
+        throwIfCancelled(signal);
+        await new Promise(r => setTimeout(r, 5));
+        reportProgress(80 + Math.floor((i / totalMessages) * 20), `Generating ${offline ? 'HTML' : 'PDF'}... (${i}/${totalMessages})`);
+      }
+    }
+
+    if (hasLottieStickers) {
+      const player = await loadLottiePlayer();
+      if (player) {
+        htmlParts.push(`<script>${escapeInlineScript(player)}</script><script>${LOTTIE_INIT_SCRIPT}</script>`);
+      }
+    }
+
+    htmlParts.push('</body></html>');
+    return htmlParts.join('');
+  }
+
+  // --- PDF RENDERING ---
+  // Writes the styled transcript straight to a PDF file. The document is laid out
+  // in a hidden frame at A4 width and cut into pages between messages; each page
+  // is then drawn with html2canvas and added to a jsPDF document, with an
+  // invisible text layer on top so the transcript can be searched and copied.
+  // Both libraries are bundled in libs/ and injected by the service worker on first use.
+
+  const PDF_LIBRARY_FILES = ['libs/html2canvas.min.js', 'libs/jspdf.umd.min.js'];
+  // A4 at 96 dpi, drawn at twice the resolution for sharp text
+  const PDF_PAGE = { width: 794, height: 1123, padding: 8, scale: 2 };
+  // Room for the thread border and spacing repeated at the top of a continued thread
+  const PDF_PAGE_SLACK = 16;
+  // Blocks a page break must not cut through
+  const PDF_BLOCK_SELECTOR = '.message, .thread-header, .channel-divider, h1, .export-note';
+  // The text layer uses a standard PDF font, which only encodes Windows-1252
+  const PDF_UNENCODABLE_TEXT = /[^\x20-\x7e\xa0-\xff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u0192\u02c6\u02dc\u2013\u2014\u2018-\u201a\u201c-\u201e\u2020-\u2022\u2026\u2030\u2039\u203a\u20ac\u2122]/gu;
+
+  async function loadPdfLibraries() {
+    if (window.jspdf && window.html2canvas) return;
+    const response = await chrome.runtime.sendMessage({ action: 'injectLibraries', files: PDF_LIBRARY_FILES });
+    if (!response?.success || !window.jspdf || !window.html2canvas) {
+      throw new Error(`Could not load the PDF libraries${response?.error ? `: ${response.error}` : ''}`);
+    }
+  }
+
+  // Waits for every image to load and decode so no page is drawn half-finished
+  async function waitForImages(doc) {
+    await Promise.all(Array.from(doc.images, img => {
+      const loaded = img.complete ? Promise.resolve() : new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+      });
+      return loaded.then(() => img.decode ? img.decode().catch(() => {}) : null);
+    }));
+    if (doc.fonts) await doc.fonts.ready;
+  }
+
+  // The elements that move between pages as a whole: every message and heading,
+  // plus anything else that doesn't contain one. Containers such as threads are
+  // split around their children instead, so each block keeps the chain of
+  // containers it sat in.
+  function collectPdfBlocks(parent, containers = [], blocks = []) {
+    Array.from(parent.children).forEach(el => {
+      if (el.tagName === 'SCRIPT' || el.tagName === 'STYLE') return;
+      if (el.matches(PDF_BLOCK_SELECTOR) || !el.querySelector(PDF_BLOCK_SELECTOR)) {
+        blocks.push({ el, containers });
+      } else {
+        collectPdfBlocks(el, [...containers, el], blocks);
+      }
+    });
+    return blocks;
+  }
+
+  // Greedy pagination over the laid-out document: a page ends before the first
+  // block that would overflow it. A block taller than a page gets a page of its
+  // own and is drawn in slices, the only case where a message is cut.
+  function paginatePdfBlocks(blocks, pageHeight) {
+    const pages = [];
+    let page = null;
+    blocks.forEach(block => {
+      const rect = block.el.getBoundingClientRect();
+      if (rect.height > pageHeight) {
+        for (let offset = 0; offset < rect.height; offset += pageHeight) {
+          pages.push({ blocks: [block], offset });
+        }
+        page = null;
+      } else if (!page || rect.bottom - page.top > pageHeight) {
+        page = { blocks: [block], offset: 0, top: rect.top };
+        pages.push(page);
+      } else {
+        page.blocks.push(block);
+      }
+    });
+    return pages;
+  }
+
+  // Moves a page's blocks into a fresh body, recreating the containers they sat
+  // in (e.g. a thread continued from the previous page) as empty copies
+  function buildPdfPage(doc, blocks) {
+    const fragment = doc.createDocumentFragment();
+    const copies = new Map();
+    blocks.forEach(({ el, containers }) => {
+      const parent = containers.reduce((outer, container) => {
+        if (!copies.has(container)) copies.set(container, outer.appendChild(container.cloneNode(false)));
+        return copies.get(container);
+      }, fragment);
+      parent.appendChild(el);
+    });
+    doc.body.replaceChildren(fragment);
+  }
+
+  // Keeps external links clickable by laying link areas over the page image
+  function addPdfPageLinks(pdf, doc, offset, pointsPerPixel) {
+    doc.body.querySelectorAll('a[href^="http"]').forEach(link => {
+      const rect = link.getBoundingClientRect();
+      if (rect.width === 0 || rect.bottom <= offset || rect.top >= offset + PDF_PAGE.height) return;
+      pdf.link(rect.left * pointsPerPixel, (rect.top - offset) * pointsPerPixel, rect.width * pointsPerPixel, rect.height * pointsPerPixel, { url: link.href });
+    });
+  }
+
+  // Splits a text node into the runs it was laid out in, one per line box, with
+  // the rectangle each run covers
+  function getTextRuns(node) {
+    const range = node.ownerDocument.createRange();
+    range.selectNodeContents(node);
+    const rects = range.getClientRects();
+    if (rects.length === 1) {
+      return [{ text: node.data.replace(/\s+/g, ' ').trim(), rect: rects[0] }];
+    }
+
+    const runs = [];
+    let run = null;
+    for (const word of node.data.matchAll(/\S+/g)) {
+      range.setStart(node, word.index);
+      range.setEnd(node, word.index + word[0].length);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0) continue;
+      if (run && Math.abs(rect.top - run.rect.top) < 1) {
+        run.text += ` ${word[0]}`;
+        run.rect = { left: run.rect.left, top: run.rect.top, right: rect.right, height: run.rect.height };
+      } else {
+        run = { text: word[0], rect: { left: rect.left, top: rect.top, right: rect.right, height: rect.height } };
+        runs.push(run);
+      }
+    }
+    return runs;
+  }
+
+  // Writes the page's text as invisible PDF text over the page image, each run
+  // stretched to the width it takes on screen so selections line up
+  function addPdfTextLayer(pdf, doc, offset, pointsPerPixel) {
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (/\S/.test(node.data) && !node.parentElement.closest('style, script'))
+        ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+    pdf.setFont('helvetica', 'normal');
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const fontSize = parseFloat(doc.defaultView.getComputedStyle(node.parentElement).fontSize) || 16;
+      getTextRuns(node).forEach(({ text, rect }) => {
+        const width = rect.right - rect.left;
+        const top = rect.top - offset;
+        if (!text || width <= 0 || top < 0 || top + rect.height > PDF_PAGE.height) return;
+        const pdfText = text.replace(PDF_UNENCODABLE_TEXT, '?');
+        const fontSizePt = fontSize * pointsPerPixel;
+        pdf.setFontSize(fontSizePt);
+        pdf.text(pdfText, rect.left * pointsPerPixel, (top + (rect.height - fontSize) / 2) * pointsPerPixel, {
+          baseline: 'top',
+          renderingMode: 'invisible',
+          horizontalScale: (width * pointsPerPixel) / pdf.getTextWidth(pdfText)
+        });
+      });
+    }
+  }
+
+  async function renderPdfDocument(html, title, signal) {
+    await loadPdfLibraries();
+
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = `position: fixed; top: 0; left: -${PDF_PAGE.width * 2}px; width: ${PDF_PAGE.width}px; height: ${PDF_PAGE.height}px; border: 0;`;
+    document.body.appendChild(frame);
+
+    try {
+      const doc = frame.contentDocument;
+      doc.open();
+      doc.write(html);
+      doc.close();
+      await waitForImages(doc);
+      throwIfCancelled(signal);
+
+      const contentHeight = PDF_PAGE.height - 2 * PDF_PAGE.padding;
+      const pages = paginatePdfBlocks(collectPdfBlocks(doc.body), contentHeight - PDF_PAGE_SLACK);
+      const pdf = new window.jspdf.jsPDF({ unit: 'pt', format: 'a4', compress: true });
+      const pageWidth = pdf.internal.pageSize.getWidth();
+      const pageHeight = pdf.internal.pageSize.getHeight();
+      pdf.setProperties({ title, creator: 'Discord Chat Exporter' });
+
+      for (let i = 0; i < pages.length; i++) {
+        throwIfCancelled(signal);
+        reportProgress(90 + Math.floor((i / pages.length) * 9), `Rendering PDF... (page ${i + 1}/${pages.length})`);
+        const { blocks, offset } = pages[i];
+        if (offset === 0) buildPdfPage(doc, blocks);
+
+        const canvas = await window.html2canvas(doc.body, {
+          backgroundColor: '#313338',
+          scale: PDF_PAGE.scale,
+          useCORS: true,
+          logging: false,
+          x: 0,
+          y: offset,
+          width: PDF_PAGE.width,
+          height: PDF_PAGE.height,
+          windowWidth: PDF_PAGE.width,
+          windowHeight: PDF_PAGE.height
+        });
+        if (i > 0) pdf.addPage();
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, pageWidth, pageHeight);
+        addPdfTextLayer(pdf, doc, offset, pageWidth / PDF_PAGE.width);
+        addPdfPageLinks(pdf, doc, offset, pageWidth / PDF_PAGE.width);
+        canvas.width = canvas.height = 0;
+      }
+
+      return pdf.output('blob');
+    } finally {
+      frame.remove();
+    }
+  }
+
+  // --- HTML TO MARKDOWN ---
+  // Walks the message HTML produced by processContentForEmoji and emits the
+  // equivalent Discord-flavoured Markdown instead of flattening it to text.
+
+  function escapeMarkdown(text) {
+    return text.replace(/([\\*_~`])/g, '\\$1');
+  }
+
+  // Moves surrounding whitespace outside of the markers: `** bold**` does not render
+  function wrapMarkdown(marker, text) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+  }
+
+  function inlineCodeToMarkdown(text) {
+    if (!text.includes('`')) return `\`${text}\``;
+    return `\`\` ${text} \`\``;
+  }
+
+  function getCodeLanguage(codeEl) {
+    if (!codeEl) return '';
+    const classes = (codeEl.getAttribute('class') || '').split(/\s+/);
+    const languageClass = classes.find(c => c.startsWith('language-'));
+    if (languageClass) return languageClass.substring('language-'.length);
+    // Discord highlights with classes like "scrollbar_abc123 hljs js"
+    const hljsIndex = classes.indexOf('hljs');
+    if (hljsIndex === -1) return '';
+    return classes.slice(hljsIndex + 1).find(c => c && !c.includes('_')) || '';
+  }
+
+  function emojiToMarkdown(img) {
+    const src = img.getAttribute('src') || '';
+    const alt = img.getAttribute('alt') || '';
+    const name = img.getAttribute('data-emoji-name') || alt.replace(/^:|:$/g, '');
+
+    if (src.includes('/emojis/')) {
+      return name ? `:${name}:` : `![emoji](${src})`;
+    }
+    // Unicode emoji rendered as images keep the character itself in alt
+    if (alt && !/^:.*:$/.test(alt)) return alt;
+    if (name) return `:${name}:`;
+    return src ? `![image](${src})` : '';
+  }
+
+  function listToMarkdown(listEl, context) {
+    const ordered = listEl.tagName === 'OL';
+    const depth = context.listDepth || 0;
+    const indent = '  '.repeat(depth);
+    let index = parseInt(listEl.getAttribute('start'), 10) || 1;
+
+    const items = Array.from(listEl.children)
+      .filter(child => child.tagName === 'LI')
+      .map(li => {
+        const marker = ordered ? `${index++}.` : '-';
+        const text = convertChildrenToMarkdown(li, { ...context, listDepth: depth + 1 }).trim();
+        return `${indent}${marker} ${text}`;
+      });
+
+    return `\n${items.join('\n')}\n`;
+  }
+
+  function convertChildrenToMarkdown(node, context) {
+    return Array.from(node.childNodes).map(child => convertNodeToMarkdown(child, context)).join('');
+  }
+
+  function convertNodeToMarkdown(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) return escapeMarkdown(node.textContent);
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const el = node;
+    const tag = el.tagName;
+    const className = el.getAttribute('class') || '';
+    const inner = () => convertChildrenToMarkdown(el, context);
+
+    // Code block copy buttons, quote dividers and other decoration
+    if (tag === 'BUTTON' || tag === 'svg' || className.includes('blockquoteDivider')) return '';
+
+    // Mentions tagged by annotateMentions. Roles are written as plain "@name"
+    // unless the role id is known, for Discord's own <@&id> syntax.
+    const mentionType = el.getAttribute('data-mention-type');
+    if (mentionType) {
+      const mentionId = el.getAttribute('data-mention-id');
+      if (mentionType === 'role' && mentionId) return `<@&${mentionId}>`;
+      const prefix = mentionType === 'channel' ? '#' : '@';
+      return prefix + escapeMarkdown(el.getAttribute('data-mention-name') || '');
+    }
+
+    switch (tag) {
+      case 'BR':
+        return '\n';
+      case 'IMG':
+        return emojiToMarkdown(el);
+      case 'PRE': {
+        const codeEl = el.querySelector('code');
+        const code = (codeEl || el).textContent.replace(/\n$/, '');
+        return `\n\`\`\`${getCodeLanguage(codeEl)}\n${code}\n\`\`\`\n`;
+      }
+      case 'CODE':
+        return inlineCodeToMarkdown(el.textContent);
+      case 'STRONG':
+      case 'B':
+        return wrapMarkdown('**', inner());
+      case 'EM':
+      case 'I':
+        return wrapMarkdown('*', inner());
+      case 'U':
+        return wrapMarkdown('__', inner());
+      case 'S':
+      case 'DEL':
+      case 'STRIKE':
+        return wrapMarkdown('~~', inner());
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+        return `\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n`;
+      case 'SMALL':
+        return `\n-# ${inner().trim()}\n`;
+      case 'BLOCKQUOTE': {
+        const quoted = inner().trim().split('\n').map(line => `> ${line}`).join('\n');
+        return `\n${quoted}\n`;
+      }
+      case 'UL':
+      case 'OL':
+        return listToMarkdown(el, context);
+      case 'A': {
+        const href = el.href || el.getAttribute('href') || '';
+        const text = inner();
+        if (!href || !text.trim()) return text || href;
+        if (el.textContent.trim() === href || el.textContent.trim() === el.getAttribute('href')) return href;
+        return `[${text}](${href})`;
+      }
+      default:
+        break;
+    }
+
+    if (className.includes('spoilerContent') || className.includes('spoilerText')) {
+      return `||${inner()}||`;
+    }
+
+    return inner();
+  }
+
+  function htmlToMarkdown(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html || '';
+    return convertChildrenToMarkdown(container, {})
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  function quoteMarkdown(text) {
+    return text.split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+  }
+
+  // --- MARKDOWN GENERATION ---
+
+  // `assetPaths` (URL -> archive path) points media at bundled files instead of CDN URLs
+  // `continuation` leaves out the title, for messages appended to a previous file
+  function generateMarkdownContent(messages, options, { assetPaths = null, continuation = false } = {}) {
+    const localUrl = (url, fallback = url) => assetPaths?.get(url) || fallback;
+    const channelName = getExportTitle(options);
+    const exportedOn = new Date().toLocaleString();
+    const filterNote = hasActiveFilters(options.filters) ? `*${describeFilters(options.filters)}*\n\n` : '';
+    let md;
+    if (continuation) {
+      md = `*New messages exported on ${exportedOn}*\n\n${filterNote}---\n\n`;
+    } else if (options.lastExport) {
+      const since = new Date(options.lastExport.timestamp).toLocaleString();
+      md = `# ${channelName}\n\n*New messages since ${since}, exported on ${exportedOn}*\n\n${filterNote}---\n\n`;
+    } else {
+      md = `# ${channelName}\n\n*Exported on ${exportedOn}*\n\n${filterNote}---\n\n`;
+    }
+
+    let lastUsername = '';
+    let lastChannelId = null;
+    const exportedIds = getExportedMessageIds(messages);
+    // Only messages that are replied to get an anchor, to keep the file readable
+    const replyTargets = new Set(getMessagesWithThreads(messages)
+      .map(msg => msg.replyTo?.messageId)
+      .filter(id => id && exportedIds.has(id)));
+
+    flattenThreadEntries(messages).forEach(({ msg, threadStart, threadEnd, inThread }) => {
+      if (threadStart) {
+        md += `> 🧵 **Thread: ${describeThread(threadStart)}**\n>\n`;
+        lastUsername = '';
+        return;
+      }
+      if (threadEnd) {
+        md += '\n---\n\n';
+        lastUsername = '';
+        return;
+      }
+
+      if (msg.channel && msg.channel.id !== lastChannelId) {
+        md += `## #${msg.channel.name}\n\n`;
+        lastChannelId = msg.channel.id;
+        lastUsername = '';
+      }
+
+      if (msg.type === 'system') {
+        const icon = SYSTEM_MESSAGE_ICONS[msg.systemType] || SYSTEM_MESSAGE_ICONS.other;
+        const when = options.includeTimestamps && msg.timestamp ? ` - ${new Date(msg.timestamp).toLocaleString()}` : '';
+        const line = `${icon} ${wrapMarkdown('*', msg.content ? htmlToMarkdown(msg.content) : msg.contentText)}${when}`;
+        md += inThread ? quoteMarkdown(line) + '\n>\n' : line + '\n\n---\n\n';
+        lastUsername = '';
+        return;
+      }
+
+      // Thread messages are written like any other, then quoted under the thread header
+      const messageStart = md.length;
+      // Search results are not contiguous, so each one keeps its own header
+      const isSameUser = msg.username && msg.username === lastUsername && !msg.channel;
+      const hasReply = msg.replyTo && (msg.replyTo.username || msg.replyTo.content);
+
+      const messageId = parseMessageElementId(msg.id).messageId;
+      if (replyTargets.has(messageId)) {
+        md += `<a id="${getMessageAnchor(messageId)}"></a>\n\n`;
+      }
+
+      if (hasReply) {
+        const targetId = msg.replyTo.messageId;
+        const replyText = `**${msg.replyTo.username || 'Unknown'}**: ${msg.replyTo.content || ''}`;
+        if (replyTargets.has(targetId)) {
+          md += `> ↩ Replying to [${replyText.replace(/[[\]]/g, '\\$&')}](#${getMessageAnchor(targetId)})\n\n`;
+        } else {
+          md += `> ↩ Replying to ${replyText}${targetId ? ' *(outside range)*' : ''}\n\n`;
+        }
+      }
+
+      if (msg.interaction) {
+        md += `> ⚡ **${msg.interaction.username || 'Unknown'}** used \`/${msg.interaction.commandName}\`\n\n`;
+      }
+
+      if (!isSameUser || hasReply || msg.interaction) {
+        let header = `**${msg.username || 'Unknown'}**`;
+        if (msg.isBot) header += ` \`${msg.botTag || 'BOT'}\``;
+        if (options.includeTimestamps && msg.timestamp) {
+          const date = new Date(msg.timestamp);
+          header += ` - ${date.toLocaleString()}`;
+        }
+        md += header + '\n\n';
+      }
+
+      const contentMarkdown = msg.content ? htmlToMarkdown(msg.content) : msg.contentText;
+      const editedMarkdown = msg.edited ? ` *${formatEditedLabel(msg, options)}*` : '';
+      if (contentMarkdown || editedMarkdown) md += (contentMarkdown + editedMarkdown).trim() + '\n\n';
+      if (msg.pinned) md += '📌 *Pinned*\n\n';
+
+      // Images
+      if (options.includeImages && msg.images.length > 0) {
+        msg.images.forEach(imgData => {
+          if (typeof imgData === 'string') {
+            md += `![image](${localUrl(imgData)})\n\n`;
+          } else if (imgData.isVideo) {
+            // Markdown cannot embed the video; link it from its poster frame
+            md += `🎬 **GIF**\n\n`;
+            md += `[![GIF Preview](${localUrl(imgData.staticUrl)})](${localUrl(imgData.url)})\n\n`;
+            md += `> Link: ${imgData.url}\n\n`;
+          } else if (imgData.isGif) {
+            md += `🎬 **GIF**\n\n`;
+            md += `[![GIF Preview](${localUrl(imgData.url, imgData.staticUrl)})](${imgData.url})\n\n`;
+            md += `> Link: ${imgData.url}\n\n`;
+          } else {
+            md += `![image](${localUrl(imgData.url)})\n\n`;
+          }
+        });
+      }
+
+      // Stickers
+      if (options.includeImages && msg.stickers?.length > 0) {
+        msg.stickers.forEach(stickerData => {
+          const isAnimated = typeof stickerData === 'object' && stickerData.isAnimated;
+          if (isAnimated) {
+            md += `🎭 **Animated Sticker**\n\n`;
+          }
+          md += `![sticker](${localUrl(getStickerSource(stickerData, true))})\n\n`;
+          // Archives bundle the Lottie animation file next to its still frame
+          if (isLottieSticker(stickerData) && assetPaths?.has(stickerData.url)) {
+            md += `[▶ Lottie animation](${assetPaths.get(stickerData.url)})\n\n`;
+          }
+        });
+      }
+
+      // Attachments
+      if (msg.attachments?.length > 0) {
+        msg.attachments.forEach(att => {
+          const details = [ATTACHMENT_LABELS[att.type] || 'File', att.size, att.duration].filter(Boolean).join(', ');
+          md += `${ATTACHMENT_ICONS[att.type] || ATTACHMENT_ICONS.file} [${att.filename}](${localUrl(att.url)}) (${details})\n\n`;
+        });
+      }
+
+      // Embeds
+      if (msg.embeds && msg.embeds.length > 0) {
+        msg.embeds.forEach(embed => {
+          md += '> 📎 **[Embed]**\n';
+          if (embed.author) md += `> 👤 ${embed.author}\n`;
+          if (embed.title) md += `> **${embed.title}**\n`;
+          if (embed.description) {
+            md += quoteMarkdown(htmlToMarkdown(embed.description)) + '\n';
+          }
+          if (embed.fields && embed.fields.length > 0) {
+            md += '>\n';
+            embed.fields.forEach(field => {
+              md += quoteMarkdown(`• **${field.name}**: ${htmlToMarkdown(field.value)}`) + '\n';
+            });
+          }
+          // Embed thumbnail
+          if (embed.thumbnail) {
+            md += `>\n> 🖼️ 縮圖: ![thumbnail](${localUrl(embed.thumbnail)})\n`;
+          }
+          // Embed image
+          if (embed.image) {
+            md += `>\n> ![embed image](${localUrl(embed.image)})\n`;
+          }
+          if (embed.footer) md += `> _${embed.footer}_\n`;
+          md += '\n';
+        });
+      }
+
+      // Poll
+      if (msg.poll) {
+        md += `📊 **Poll: ${msg.poll.question}**\n\n`;
+        msg.poll.answers.forEach(answer => {
+          const stats = formatPollAnswerStats(answer);
+          md += `- ${answer.text}${stats ? ` — ${stats}` : ''}\n`;
+        });
+        md += msg.poll.status ? `\n*${msg.poll.status}*\n\n` : '\n';
+      }
+
+      // Buttons and select menus, one line per row
+      if (msg.components?.length > 0) {
+        msg.components.forEach(row => {
+          md += row.map(component => {
+            if (component.type === 'link') return `[🔗 ${component.label}](${component.url})`;
+            if (component.type === 'select') return `▾ ${component.label || 'Select'}`;
+            return `🔘 ${component.label}`;
+          }).join(' · ') + '\n\n';
+        });
+      }
+
+      if (!isSameUser && options.includeAvatars && msg.avatar) {
+        md += `> Avatar: ${localUrl(msg.avatar)}\n\n`;
+      }
+
+      if (options.includeReactions && msg.reactions.length > 0) {
+        const reactionText = msg.reactions.map(r => `${r.emoji} (${r.count})`).join(' ');
+        md += `> Reactions: ${reactionText}\n\n`;
+      }
+
+      if (inThread) {
+        md = md.slice(0, messageStart) + quoteMarkdown(md.slice(messageStart).trimEnd()) + '\n>\n';
+      } else {
+        md += '---\n\n';
+      }
+      lastUsername = msg.username || '';
+    });
+
+    return md;
+  }
+
+  // --- ARCHIVE GENERATION ---
+
+  const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/apng': 'png',
+    'image/svg+xml': 'svg',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'application/json': 'json'
+  };
+
+  function dataUrlToBytes(dataUrl) {
+    const commaIndex = dataUrl.indexOf(',');
+    const header = dataUrl.substring(0, commaIndex);
+    const payload = dataUrl.substring(commaIndex + 1);
+    const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = header.includes(';base64') ? atob(payload) : decodeURIComponent(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return { bytes, mimeType };
+  }
+
+  function getAssetPath(url, mimeType, index) {
+    let baseName = '';
+    try {
+      baseName = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    } catch (e) {
+      // Keep default name
+    }
+    baseName = baseName.replace(/\.[^.]*$/, '').replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 60) || 'file';
+    const extension = MIME_EXTENSIONS[mimeType] || 'bin';
+    return `assets/${String(index).padStart(4, '0')}-${baseName}.${extension}`;
+  }
+
+  // Downloads file attachments into attachments/, skipping anything over the size cap
+  async function addAttachmentFiles(zip, messages, assetPaths, signal = null) {
+    const attachments = getMessagesWithThreads(messages).flatMap(msg => msg.attachments || []);
+    let index = 0;
+
+    for (const att of attachments) {
+      throwIfCancelled(signal);
+      index++;
+      if (assetPaths.has(att.url)) continue;
+
+      try {
+        const response = await fetch(att.url, { signal });
+        if (!response.ok) continue;
+        const declaredSize = parseInt(response.headers.get('content-length'), 10);
+        if (declaredSize > CONFIG.maxArchiveAttachmentBytes) continue;
+
+        const buffer = await response.arrayBuffer();
+        if (buffer.byteLength > CONFIG.maxArchiveAttachmentBytes) continue;
+
+        const safeName = (att.filename || 'attachment').replace(/[\\/:*?"<>|]/g, '_');
+        const path = `attachments/${String(index).padStart(4, '0')}-${safeName}`;
+        zip.addFile(path, new Uint8Array(buffer));
+        assetPaths.set(att.url, path);
+      } catch (e) {
+        throwIfCancelled(signal);
+        console.warn('Could not download attachment:', att.url.substring(0, 100));
+      }
+
+      reportProgress(80, `Downloading attachments... (${index}/${attachments.length})`);
+    }
+  }
+
+  // Bundles a Markdown or HTML transcript with an assets/ folder holding every
+  // fetched image, so the archive no longer depends on expiring CDN URLs.
+  async function generateArchive(messages, options, format, signal = null) {
+    if (typeof ZipWriter === 'undefined') {
+      throw new Error('ZIP writer library not loaded');
+    }
+
+    const zip = new ZipWriter();
+    const assetPaths = new Map();
+    const animations = new Map();
+
+    clearImageCache();
+    await prefetchImages(collectImageUrls(messages, options, { offline: true }), (url, dataUrl) => {
+      const { bytes, mimeType } = dataUrlToBytes(dataUrl);
+      const path = getAssetPath(url, mimeType, assetPaths.size + 1);
+      zip.addFile(path, bytes);
+      assetPaths.set(url, path);
+      if (mimeType === 'application/json') animations.set(url, dataUrl);
+    }, signal);
+    clearImageCache();
+
+    if (options.archiveAttachments) {
+      await addAttachmentFiles(zip, messages, assetPaths, signal);
+    }
+
+    if (format === 'html') {
+      zip.addFile('index.html', await generatePDFContent(messages, options, { offline: true, assetPaths, animations, signal }));
+    } else {
+      zip.addFile('transcript.md', generateMarkdownContent(messages, options, { assetPaths }));
+    }
+
+    return zip.toBlob();
+  }
+
+  // --- JSON GENERATION ---
+
+  // The export settings written to native JSON. Redaction patterns and internal
+  // state such as the last-export marker stay out of the file.
+  const JSON_OPTION_KEYS = [
+    'format', 'includeImages', 'includeAvatars', 'includeTimestamps', 'includeReactions', 'includeThreads',
+    'jsonSchema', 'searchResults', 'sinceLastExport', 'fromDate', 'toDate', 'filters', 'anonymize'
+  ];
+
+  function generateJSONContent(messages, options) {
+    const exportData = {
+      channel: getChannelInfo(),
+      ...(options.searchResults ? { search: { query: options.searchQuery || '' } } : {}),
+      ...(options.lastExport ? { since: { messageId: options.lastExport.messageId, timestamp: options.lastExport.timestamp } } : {}),
+      exportedAt: new Date().toISOString(),
+      options: Object.fromEntries(JSON_OPTION_KEYS.filter(key => key in options).map(key => [key, options[key]])),
+      messageCount: messages.length,
+      messages
+    };
+
+    return JSON.stringify(exportData, null, 2);
+  }
+
+  // --- DISCORDCHATEXPORTER JSON ---
+  // Maps collected messages onto the JSON schema written by the desktop
+  // DiscordChatExporter. The DOM does not expose everything that schema holds
+  // (user ids for every author, roles, file sizes...), so those fields are null.
+
+  function colorToHex(color) {
+    const match = (color || '').match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+    if (!match) return null;
+    return '#' + match.slice(1, 4).map(n => parseInt(n, 10).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+
+  function matchUrlPart(url, pattern) {
+    const match = (url || '').match(pattern);
+    return match ? match[1] : null;
+  }
+
+  function getAttachmentFileName(url) {
+    try {
+      return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function toDCEAuthor(msg) {
+    return {
+      id: matchUrlPart(msg.avatar, /\/avatars\/(\d+)\//),
+      // The DOM only shows the display name; the account name is unknown
+      name: null,
+      discriminator: null,
+      nickname: msg.username || null,
+      color: colorToHex(msg.usernameColor),
+      isBot: !!msg.isBot,
+      roles: null,
+      avatarUrl: msg.avatar || null
+    };
+  }
+
+  function toDCEEmoji(emojiHtml) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = emojiHtml || '';
+    const img = tempDiv.querySelector('img');
+
+    if (!img) {
+      const name = tempDiv.textContent.trim();
+      return { id: null, name, code: name, isAnimated: false, imageUrl: null };
+    }
+
+    const src = img.getAttribute('src') || '';
+    const id = matchUrlPart(src, /\/emojis\/(\d+)/);
+    const name = (img.getAttribute('alt') || '').replace(/^:|:$/g, '') || null;
+    return {
+      id,
+      name,
+      code: name,
+      isAnimated: id ? /\.gif|animated=true/.test(src) : false,
+      imageUrl: src || null
+    };
+  }
+
+  function toDCEEmbed(embed) {
+    return {
+      title: embed.title || '',
+      url: null,
+      timestamp: null,
+      description: embed.description ? htmlToPlainText(embed.description) : '',
+      color: colorToHex(embed.color),
+      author: embed.author ? { name: embed.author, url: null, iconUrl: null } : null,
+      thumbnail: embed.thumbnail ? { url: embed.thumbnail, width: null, height: null } : null,
+      image: embed.image ? { url: embed.image, width: null, height: null } : null,
+      images: embed.image ? [{ url: embed.image, width: null, height: null }] : [],
+      footer: embed.footer ? { text: embed.footer, iconUrl: null } : null,
+      fields: (embed.fields || []).map(field => ({
+        name: field.name || '',
+        value: htmlToPlainText(field.value),
+        isInline: null
+      })),
+      inlineEmojis: []
+    };
+  }
+
+  // Sticker formats as named by DiscordChatExporter
+  const DCE_STICKER_FORMATS = { png: 'Png', apng: 'Apng', gif: 'Gif', lottie: 'Lottie' };
+
+  // System message kinds as named by DiscordChatExporter
+  const DCE_SYSTEM_TYPES = {
+    join: 'GuildMemberJoin',
+    pin: 'ChannelPinnedMessage',
+    thread: 'ThreadCreated',
+    call: 'Call',
+    channelNameChange: 'ChannelNameChange',
+    channelIconChange: 'ChannelIconChange',
+    recipientAdd: 'RecipientAdd',
+    recipientRemove: 'RecipientRemove'
+  };
+
+  function toDCEMessage(msg, channel) {
+    const images = (msg.images || []).map(img => typeof img === 'string' ? img : img.url);
+    const hasReply = msg.replyTo && (msg.replyTo.username || msg.replyTo.content);
+
+    return {
+      id: parseMessageElementId(msg.id).messageId || msg.id,
+      type: msg.type === 'system' ? (DCE_SYSTEM_TYPES[msg.systemType] || 'Default') : (hasReply ? 'Reply' : 'Default'),
+      timestamp: msg.timestamp || null,
+      timestampEdited: msg.editedAt || null,
+      callEndedTimestamp: null,
+      isPinned: !!msg.pinned,
+      content: msg.contentText || '',
+      author: toDCEAuthor(msg),
+      attachments: images.concat((msg.attachments || []).map(att => att.url)).map(url => ({
+        id: matchUrlPart(url, /\/attachments\/\d+\/(\d+)\//),
+        url,
+        fileName: getAttachmentFileName(url),
+        fileSizeBytes: null
+      })),
+      embeds: (msg.embeds || []).map(toDCEEmbed),
+      stickers: (msg.stickers || []).map(sticker => {
+        const url = typeof sticker === 'string' ? sticker : sticker.url;
+        return {
+          id: matchUrlPart(url, /\/stickers\/(\d+)/),
+          name: null,
+          format: DCE_STICKER_FORMATS[typeof sticker === 'object' && sticker.format] || 'Png',
+          sourceUrl: url
+        };
+      }),
+      reactions: (msg.reactions || []).map(reaction => ({
+        emoji: toDCEEmoji(reaction.emoji),
+        count: parseReactionCount(reaction.count),
+        users: []
+      })),
+      mentions: (msg.mentions || []).filter(m => m.type === 'user').map(m => ({
+        id: m.id,
+        name: null,
+        discriminator: null,
+        nickname: m.name,
+        color: colorToHex(m.color),
+        isBot: null,
+        roles: null,
+        avatarUrl: null
+      })),
+      reference: hasReply
+        ? { messageId: msg.replyTo.messageId || null, channelId: channel.channelId, guildId: channel.guildId }
+        : null,
+      inlineEmojis: [],
+      interaction: msg.interaction ? {
+        id: null,
+        name: msg.interaction.commandName,
+        // Whether the command's user is a bot isn't shown
+        user: { ...toDCEAuthor({ username: msg.interaction.username }), isBot: null }
+      } : null,
+      // Not part of the desktop schema: polls, components, thread contents and
+      // the channel of a search result
+      ...(msg.channel ? { channel: msg.channel } : {}),
+      ...(msg.poll ? { poll: msg.poll } : {}),
+      ...(msg.components?.length > 0 ? { components: msg.components } : {}),
+      ...(msg.thread ? {
+        thread: {
+          id: msg.thread.id,
+          name: msg.thread.name || null,
+          messageCount: msg.thread.messages?.length || msg.thread.messageCount || 0,
+          messages: (msg.thread.messages || []).map(reply => toDCEMessage(reply, { ...channel, channelId: msg.thread.id }))
+        }
+      } : {})
+    };
+  }
+
+  function generateDCEJSONContent(messages, options) {
+    const channel = getChannelInfo();
+    const exportData = {
+      guild: channel.isDirectMessage
+        ? { id: '0', name: 'Direct Messages', iconUrl: null }
+        : { id: channel.guildId, name: getGuildName(), iconUrl: null },
+      channel: {
+        id: channel.channelId,
+        type: channel.isDirectMessage ? 'DirectTextChat' : 'GuildTextChat',
+        categoryId: null,
+        category: null,
+        name: channel.name,
+        topic: null
+      },
+      dateRange: { after: options.fromDate || null, before: options.toDate || null },
+      exportedAt: new Date().toISOString(),
+      messages: messages.map(msg => toDCEMessage(msg, msg.channel ? { ...channel, channelId: msg.channel.id } : channel)),
+      messageCount: messages.length
+    };
+
+    return JSON.stringify(exportData, null, 2);
+  }
+
+  // --- CSV GENERATION ---
+  // One row per message (thread replies included) for spreadsheets. Lists in a
+  // cell are joined with " | "; Excel needs the optional BOM to read UTF-8.
+
+  const CSV_COLUMNS = ['id', 'timestamp', 'author', 'authorColor', 'replyToAuthor', 'content', 'images', 'attachments', 'embeds', 'reactions'];
+
+  // Spreadsheets evaluate cells starting with these as formulas
+  const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+  // Formula-like cells get a leading apostrophe so chat text stays text
+  function escapeCsvField(value) {
+    let text = value == null ? '' : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsvRow(msg) {
+    const date = msg.timestamp ? new Date(msg.timestamp) : null;
+    const reactions = (msg.reactions || []).map(reaction => {
+      const emoji = toDCEEmoji(reaction.emoji);
+      return `${emoji.name || emoji.imageUrl || ''}:${parseReactionCount(reaction.count) ?? ''}`;
+    });
+    return [
+      parseMessageElementId(msg.id).messageId || msg.id,
+      date && !isNaN(date) ? date.toISOString() : '',
+      msg.username,
+      colorToHex(msg.usernameColor) || msg.usernameColor || '',
+      msg.replyTo?.username || '',
+      msg.contentText,
+      (msg.images || []).map(img => typeof img === 'string' ? img : img.url).join(' | '),
+      (msg.attachments || []).map(att => att.url).join(' | '),
+      (msg.embeds || []).map(embed => embed.title).filter(Boolean).join(' | '),
+      reactions.join(' | ')
+    ];
+  }
+
+  function generateCSVContent(messages, options) {
+    const rows = [CSV_COLUMNS, ...getMessagesWithThreads(messages).map(toCsvRow)];
+    const csv = rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+    return options.csvBom ? '\uFEFF' + csv : csv;
+  }
+
+  // --- APPENDING ---
+  // Appending rewrites the saved file from the last export with the new messages at
+  // the end. JSON keeps the schema of the saved file.
+
+  async function getAppendBase(format) {
+    const output = await lastExportStore.getOutput(getCheckpointId(), format);
+    if (!output) {
+      throw new Error('The previous export of this channel is no longer saved');
+    }
+    return output.content;
+  }
+
+  function appendMarkdownOutput(previous, messages, options) {
+    return previous.replace(/\s*$/, '\n\n') + generateMarkdownContent(messages, options, { continuation: true });
+  }
+
+  function appendJSONOutput(previous, messages, options) {
+    const exportData = JSON.parse(previous);
+    const isDCE = 'guild' in exportData;
+    const added = JSON.parse(isDCE ? generateDCEJSONContent(messages, options) : generateJSONContent(messages, options));
+    exportData.messages = exportData.messages.concat(added.messages);
+    exportData.messageCount = exportData.messages.length;
+    exportData.exportedAt = added.exportedAt;
+    return JSON.stringify(exportData, null, 2);
+  }
+
+  // --- STATISTICS ---
+  // A report about the collected messages instead of a transcript. Thread replies
+  // count like any other message; system messages are only counted as such.
+  // Days and hours use the browser's time zone.
+
+  const STATS_TOP_COUNT = 20;
+  const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  function countInto(map, key, amount = 1) {
+    map.set(key, (map.get(key) || 0) + amount);
+  }
+
+  function getSortedCounts(map) {
+    return Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
+  }
+
+  function getLocalDateKey(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+  }
+
+  // Links come from the rendered anchors; plain text is only scanned when there are none
+  function getMessageLinks(msg) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = msg.content || '';
+    const hrefs = Array.from(tempDiv.querySelectorAll('a[href]'), link => link.getAttribute('href'))
+      .filter(href => /^https?:\/\//i.test(href));
+    return hrefs.length > 0 ? hrefs : ((msg.contentText || '').match(/https?:\/\/[^\s<>"]+/gi) || []);
+  }
+
+  function getLinkDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function truncateText(text, length) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > length ? flat.slice(0, length - 1) + '…' : flat;
+  }
+
+  function computeStatistics(messages) {
+    const allMessages = getMessagesWithThreads(messages);
+    const totals = { messages: 0, systemMessages: 0, images: 0, attachments: 0, stickers: 0, links: 0, reactions: 0, replies: 0, edited: 0, pinned: 0 };
+    const authors = new Map();
+    const days = new Map();
+    const hours = WEEKDAY_NAMES.map(() => new Array(24).fill(0));
+    const reactions = new Map();
+    const domains = new Map();
+    const repliedTo = new Map();
+    const messagesById = new Map(allMessages.map(msg => [parseMessageElementId(msg.id).messageId, msg]));
+    let first = null;
+    let last = null;
+
+    allMessages.forEach(msg => {
+      if (msg.type === 'system') {
+        totals.systemMessages++;
+        return;
+      }
+      totals.messages++;
+      countInto(authors, msg.username || 'Unknown');
+
+      const date = msg.timestamp ? new Date(msg.timestamp) : null;
+      if (date && !isNaN(date)) {
+        countInto(days, getLocalDateKey(date));
+        hours[date.getDay()][date.getHours()]++;
+        if (!first || date < first) first = date;
+        if (!last || date > last) last = date;
+      }
+
+      totals.images += (msg.images || []).length;
+      totals.attachments += (msg.attachments || []).length;
+      totals.stickers += (msg.stickers || []).length;
+      if (msg.edited) totals.edited++;
+      if (msg.pinned) totals.pinned++;
+
+      (msg.reactions || []).forEach(reaction => {
+        const emoji = toDCEEmoji(reaction.emoji);
+        const key = emoji.imageUrl || emoji.name;
+        const count = parseInt(reaction.count, 10) || 1;
+        const entry = reactions.get(key) || { html: reaction.emoji, name: emoji.name, imageUrl: emoji.imageUrl, count: 0, messages: 0 };
+        entry.count += count;
+        entry.messages++;
+        reactions.set(key, entry);
+        totals.reactions += count;
+      });
+
+      getMessageLinks(msg).forEach(url => {
+        totals.links++;
+        const domain = getLinkDomain(url);
+        if (domain) countInto(domains, domain);
+      });
+
+      if (msg.replyTo) {
+        totals.replies++;
+        const targetId = msg.replyTo.messageId;
+        if (targetId) {
+          const entry = repliedTo.get(targetId) || { messageId: targetId, replies: 0, target: messagesById.get(targetId) || null, replyTo: msg.replyTo };
+          entry.replies++;
+          repliedTo.set(targetId, entry);
+        }
+      }
+    });
+
+    return {
+      totals: { ...totals, authors: authors.size, activeDays: days.size },
+      range: { from: first?.toISOString() || null, to: last?.toISOString() || null },
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || null,
+      authors: getSortedCounts(authors).map(([name, count]) => ({
+        name,
+        messages: count,
+        share: Math.round(count / totals.messages * 1000) / 10
+      })),
+      days: Array.from(days.entries()).sort((a, b) => a[0].localeCompare(b[0])).map(([date, count]) => ({ date, messages: count })),
+      hours,
+      reactions: Array.from(reactions.values()).sort((a, b) => b.count - a.count).slice(0, STATS_TOP_COUNT),
+      domains: getSortedCounts(domains).slice(0, STATS_TOP_COUNT).map(([domain, count]) => ({ domain, links: count })),
+      threads: messages.filter(msg => msg.thread)
+        .map(msg => ({
+          name: msg.thread.name || 'Thread',
+          startedBy: msg.username || null,
+          messages: msg.thread.messages?.length || msg.thread.messageCount || 0
+        }))
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, STATS_TOP_COUNT),
+      replyChains: Array.from(repliedTo.values()).sort((a, b) => b.replies - a.replies).slice(0, STATS_TOP_COUNT)
+        .map(({ messageId, replies, target, replyTo }) => ({
+          messageId,
+          username: target ? target.username : (replyTo.username || null),
+          content: truncateText(target ? target.contentText : replyTo.content, 120),
+          replies,
+          inRange: !!target
+        }))
+    };
+  }
+
+  function generateStatsJSON(stats, options) {
+    const { reactions, hours, ...rest } = stats;
+    return JSON.stringify({
+      channel: getChannelInfo(),
+      title: getExportTitle(options),
+      exportedAt: new Date().toISOString(),
+      ...(hasActiveFilters(options.filters) ? { filters: options.filters } : {}),
+      ...rest,
+      hours: { weekdays: WEEKDAY_NAMES, counts: hours },
+      reactions: reactions.map(({ name, imageUrl, count, messages }) => ({ emoji: name, imageUrl, count, messages }))
+    }, null, 2);
+  }
+
+  function getStatsStyles() {
+    return `
+      * { margin: 0; padding: 0; box-sizing: border-box; }
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #313338; color: #dcddde; padding: 16px 24px; line-height: 1.4; font-size: 14px; }
+      h1 { text-align: center; color: #fff; margin-bottom: 10px; padding-bottom: 10px; border-bottom: 1px solid #3f4147; font-size: 18px; }
+      h2 { color: #fff; font-size: 15px; margin: 24px 0 8px; }
+      .export-note { text-align: center; color: #949ba4; font-size: 12px; margin: -4px 0 10px; }
+      .muted { color: #949ba4; font-size: 12px; }
+      .totals { display: grid; grid-template-columns: repeat(auto-fill, minmax(130px, 1fr)); gap: 8px; }
+      .total { background: #2b2d31; border-radius: 6px; padding: 8px 10px; }
+      .total-value { font-size: 20px; font-weight: 600; color: #fff; }
+      .total-label { font-size: 12px; color: #949ba4; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { padding: 4px 8px; text-align: left; border-bottom: 1px solid #3f4147; vertical-align: middle; }
+      th { color: #949ba4; font-size: 12px; font-weight: 600; }
+      .num { text-align: right; white-space: nowrap; width: 1%; }
+      .bar-cell { width: 40%; }
+      .bar { height: 10px; background: #5865f2; border-radius: 3px; min-width: 2px; }
+      td img { width: 1.4em; height: 1.4em; vertical-align: middle; object-fit: contain; }
+      .heatmap td, .heatmap th { border: 1px solid #313338; padding: 0; text-align: center; font-size: 10px; height: 22px; }
+      .heatmap td { background: #2b2d31; color: #fff; }
+      .heatmap th:first-child { padding-right: 6px; text-align: right; }
+    `;
+  }
+
+  // `columns` are { label, num }; cells are HTML
+  function renderStatsTable(columns, rows) {
+    if (rows.length === 0) return '<p class="muted">None</p>';
+    const cell = (tag, html, column) => `<${tag}${column.num ? ' class="num"' : (column.bar ? ' class="bar-cell"' : '')}>${html}</${tag}>`;
+    return `<table><thead><tr>${columns.map(column => cell('th', column.label, column)).join('')}</tr></thead><tbody>` +
+      rows.map(row => `<tr>${row.map((html, i) => cell('td', html, columns[i])).join('')}</tr>`).join('') +
+      '</tbody></table>';
+  }
+
+  function renderStatsBar(value, max) {
+    return `<div class="bar" style="width: ${max ? Math.round(value / max * 100) : 0}%"></div>`;
+  }
+
+  function renderHeatmap(hours) {
+    const max = Math.max(0, ...hours.flat());
+    const header = '<tr><th></th>' + hours[0].map((_, hour) => `<th>${hour}</th>`).join('') + '</tr>';
+    const rows = hours.map((counts, day) => `<tr><th>${WEEKDAY_NAMES[day]}</th>` + counts.map((count, hour) => {
+      const alpha = max ? Math.round(count / max * 100) / 100 : 0;
+      return count
+        ? `<td style="background: rgba(88, 101, 242, ${alpha})" title="${WEEKDAY_NAMES[day]} ${hour}:00 · ${count} message${count === 1 ? '' : 's'}">${count}</td>`
+        : '<td></td>';
+    }).join('') + '</tr>');
+    return `<table class="heatmap"><thead>${header}</thead><tbody>${rows.join('')}</tbody></table>`;
+  }
+
+  function generateStatsHtml(stats, options) {
+    const title = escapeHtml(`Statistics: ${getExportTitle(options)}`);
+    const notes = [];
+    if (stats.range.from) {
+      notes.push(`${new Date(stats.range.from).toLocaleString()} – ${new Date(stats.range.to).toLocaleString()}`);
+    }
+    if (hasActiveFilters(options.filters)) notes.push(describeFilters(options.filters));
+    const { totals } = stats;
+    const totalCards = [
+      ['Messages', totals.messages],
+      ['Authors', totals.authors],
+      ['Active days', totals.activeDays],
+      ['Replies', totals.replies],
+      ['Images', totals.images],
+      ['Attachments', totals.attachments],
+      ['Stickers', totals.stickers],
+      ['Links', totals.links],
+      ['Reactions', totals.reactions],
+      ['Edited', totals.edited],
+      ['Pinned', totals.pinned],
+      ['System messages', totals.systemMessages]
+    ].map(([label, value]) => `<div class="total"><div class="total-value">${value.toLocaleString()}</div><div class="total-label">${label}</div></div>`).join('');
+
+    const maxAuthor = stats.authors[0]?.messages || 0;
+    const maxDay = Math.max(0, ...stats.days.map(day => day.messages));
+    const count = { label: 'Messages', num: true };
+
+    return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${title}</title><style>${getStatsStyles()}</style></head><body>` +
+      `<h1>${title}</h1>` + notes.map(note => `<p class="export-note">${escapeHtml(note)}</p>`).join('') +
+      `<div class="totals">${totalCards}</div>` +
+      '<h2>Messages per author</h2>' +
+      renderStatsTable([{ label: 'Author' }, count, { label: 'Share', num: true }, { label: '', bar: true }],
+        stats.authors.map(author => [escapeHtml(author.name), author.messages, `${author.share}%`, renderStatsBar(author.messages, maxAuthor)])) +
+      `<h2>Activity by weekday and hour</h2><p class="muted">Times in ${escapeHtml(stats.timeZone || 'local time')}</p>` +
+      renderHeatmap(stats.hours) +
+      '<h2>Messages per day</h2>' +
+      renderStatsTable([{ label: 'Day' }, count, { label: '', bar: true }],
+        stats.days.map(day => [day.date, day.messages, renderStatsBar(day.messages, maxDay)])) +
+      '<h2>Top reactions</h2>' +
+      renderStatsTable([{ label: 'Emoji' }, { label: 'Reactions', num: true }, { label: 'Messages', num: true }],
+        stats.reactions.map(reaction => [reaction.html, reaction.count, reaction.messages])) +
+      '<h2>Top linked domains</h2>' +
+      renderStatsTable([{ label: 'Domain' }, { label: 'Links', num: true }],
+        stats.domains.map(domain => [escapeHtml(domain.domain), domain.links])) +
+      '<h2>Busiest threads</h2>' +
+      renderStatsTable([{ label: 'Thread' }, { label: 'Started by' }, count],
+        stats.threads.map(thread => [escapeHtml(thread.name), escapeHtml(thread.startedBy || ''), thread.messages])) +
+      '<h2>Most replied-to messages</h2>' +
+      renderStatsTable([{ label: 'Author' }, { label: 'Message' }, { label: 'Replies', num: true }],
+        stats.replyChains.map(chain => [
+          escapeHtml(chain.username || ''),
+          escapeHtml(chain.content) + (chain.inRange ? '' : ' <span class="muted">(outside range)</span>'),
+          chain.replies
+        ])) +
+      '</body></html>';
+  }
+
+  // --- EXPORT FUNCTIONS ---
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Runtime messages are capped at 64 MiB, so job files go to the worker in
+  // base64 chunks. A multiple of 3 bytes keeps the chunks joinable as one string.
+  const JOB_FILE_CHUNK_SIZE = 6 * 1024 * 1024;
+
+  async function sendJobFile(blob, filename) {
+    const fileId = `${activeJob.id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    // An empty file still goes over as one empty chunk
+    let index = 0;
+    do {
+      const offset = index * JOB_FILE_CHUNK_SIZE;
+      const dataUrl = await blobToDataUrl(blob.slice(offset, offset + JOB_FILE_CHUNK_SIZE));
+      const response = await chrome.runtime.sendMessage({
+        action: 'jobFileChunk',
+        jobId: activeJob.id,
+        fileId,
+        index,
+        data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not send the exported file');
+      }
+      index++;
+    } while (index * JOB_FILE_CHUNK_SIZE < blob.size);
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'jobFile',
+      jobId: activeJob.id,
+      fileId,
+      filename,
+      mimeType: blob.type || 'application/octet-stream'
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not save the exported file');
+    }
+  }
+
+  // Jobs hand their files to the background worker, which saves them with
+  // chrome.downloads without a save prompt
+  async function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    if (activeJob) {
+      await sendJobFile(blob, filename);
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Collects the selected range under a fresh abort signal. When the user cancels
+  // mid-collection, offers to go on with the messages gathered so far; the
+  // returned signal covers the rest of the export (prefetch and rendering).
+  // In a forum channel every post is exported along with its thread.
+  // "New messages only" starts after the last export and keeps only newer messages.
+  // Filters and anonymization run last, over everything that was collected.
+  async function collectMessagesForExport(exportOptions) {
+    const prepareMessages = createMessagePreparation(exportOptions);
+    exportAbortController = new AbortController();
+    setCancelControlsVisible(true);
+    const signal = exportAbortController.signal;
+
+    try {
+      let messages;
+      if (exportOptions.searchResults) {
+        exportOptions.searchQuery = getSearchQuery();
+        messages = await collectSearchResults(exportOptions, signal);
+      } else if (isForumChannel()) {
+        messages = await collectForumPosts(exportOptions, signal);
+      } else {
+        const startFromId = exportOptions.sinceLastExport
+          ? await applyLastExportStart(exportOptions)
+          : selectedMessageId;
+        messages = keepNewMessages(await scrollAndCollectMessages(startFromId, selectedEndMessageId, exportOptions, signal), exportOptions);
+        if (exportOptions.includeThreads) {
+          await collectThreads(messages, exportOptions, signal);
+        }
+      }
+      return { messages: finishCollectedMessages(messages, exportOptions, prepareMessages), signal };
+    } catch (error) {
+      const partialMessages = error.partialMessages || [];
+      if (error.cancelled && partialMessages.length > 0 &&
+        window.confirm(`Export cancelled after collecting ${partialMessages.length} messages.\n\nExport the messages collected so far?`)) {
+        exportAbortController = new AbortController();
+        return { messages: finishCollectedMessages(partialMessages, exportOptions, prepareMessages), signal: exportAbortController.signal };
+      }
+      throw error;
+    }
+  }
+
+  // "New messages only" drops everything up to the last exported message
+  function keepNewMessages(messages, exportOptions) {
+    if (!exportOptions.lastExport) return messages;
+    const newMessages = messages.filter(msg => isAfterLastExport(msg, exportOptions.lastExport));
+    if (newMessages.length === 0) {
+      const error = new Error('No new messages since the last export');
+      error.noNewMessages = true;
+      throw error;
+    }
+    return newMessages;
+  }
+
+  // Runs after collection, on complete and on partial (cancelled) collections alike
+  function finishCollectedMessages(messages, exportOptions, prepareMessages) {
+    messages = keepNewMessages(messages, exportOptions);
+    markPinnedMessages(getMessagesWithThreads(messages));
+    messages = prepareMessages(messages);
+    if (messages.length === 0 && hasActiveFilters(exportOptions.filters)) {
+      throw new Error('No messages match the filters');
+    }
+    return messages;
+  }
+
+  function finishExport() {
+    exportAbortController = null;
+    setCancelControlsVisible(false);
+  }
+
+  async function exportToPDF(options = {}) {
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options, format: 'pdf' };
+
+    try {
+      updateExportProgress(10);
+      reportProgress(10, 'Starting export...');
+
+      const { messages, signal } = await collectMessagesForExport(exportOptions);
+
+      if (messages.length === 0) {
+        throw new Error('No messages found to export');
+      }
+
+      updateExportProgress(60);
+      reportProgress(60, `Processing ${messages.length} messages...`);
 
-      htmlParts.push(`<div class="message">${avatarHtml}<div class="message-body">${replyHtml}${headerHtml}<div class="content">${msg.content || ''}</div>${imagesHtml}${stickersHtml}${embedsHtml}${reactionsHtml}</div></div>`);
-      lastUsername = msg.username || '';
+      const htmlContent = await generatePDFContent(messages, exportOptions, { signal });
 
-      if (i > 0 && i % BATCH_SIZE === 0) {
-        await new Promise(r => setTimeout(r, 5));
-        chrome.runtime.sendMessage({
-          action: 'progressUpdate',
-          percent: 80 + Math.floor((i / totalMessages) * 20),
-          text: `Generating PDF... (${i}/${totalMessages})`
-        });
-      }
-    }
+      updateExportProgress(90);
+      reportProgress(90, 'Generating PDF...');
 
-    htmlParts.push('</body></html>');
-    clearImageCache();
-    return htmlParts.join('');
-  }
+      const filename = buildExportFilename('pdf');
+      const pdfContent = await renderPdfDocument(htmlContent, getExportTitle(exportOptions), signal);
+      await downloadFile(pdfContent, filename, 'application/pdf');
+      await rememberLastExport(messages, exportOptions);
 
-  // --- MARKDOWN GENERATION ---
+      return { success: true, messageCount: messages.length };
+    } catch (error) {
+      if (error.cancelled) return { success: false, cancelled: true, error: error.message };
+      if (error.noNewMessages) return { success: false, noNewMessages: true, error: error.message };
+      console.error('Error exporting to PDF:', error);
+      return { success: false, error: error.message };
+    } finally {
+      finishExport();
+    }
+  }
 
-  function generateMarkdownContent(messages, options) {
-    const channelName = getChannelName();
-    let md = `# ${channelName}\n\n*Exported on ${new Date().toLocaleString()}*\n\n---\n\n`;
+  async function exportToMarkdown(options = {}) {
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options, format: 'markdown' };
 
-    let lastUsername = '';
+    try {
+      updateExportProgress(10);
+      reportProgress(10, 'Starting export...');
 
-    messages.forEach(msg => {
-      const isSameUser = msg.username && msg.username === lastUsername;
-      const hasReply = msg.replyTo && (msg.replyTo.username || msg.replyTo.content);
+      const { messages, signal } = await collectMessagesForExport(exportOptions);
 
-      if (hasReply) {
-        md += `> ↩ Replying to **${msg.replyTo.username || 'Unknown'}**: ${msg.replyTo.content || ''}\n\n`;
+      if (messages.length === 0) {
+        throw new Error('No messages found to export');
       }
 
-      if (!isSameUser || hasReply) {
-        let header = `**${msg.username || 'Unknown'}**`;
-        if (options.includeTimestamps && msg.timestamp) {
-          const date = new Date(msg.timestamp);
-          header += ` - ${date.toLocaleString()}`;
-        }
-        md += header + '\n\n';
+      updateExportProgress(70);
+      reportProgress(70, `Processing ${messages.length} messages...`);
+
+      if (exportOptions.archive) {
+        const archive = await generateArchive(messages, exportOptions, 'markdown', signal);
+        updateExportProgress(90);
+        reportProgress(90, 'Saving archive...');
+        await downloadFile(archive, buildExportFilename('zip', exportOptions.format), 'application/zip');
+        await rememberLastExport(messages, exportOptions);
+        return { success: true, messageCount: messages.length };
       }
 
-      if (msg.contentText) md += msg.contentText + '\n\n';
+      throwIfCancelled(signal);
+      const mdContent = isAppendingExport(exportOptions)
+        ? appendMarkdownOutput(await getAppendBase('markdown'), messages, exportOptions)
+        : generateMarkdownContent(messages, exportOptions);
 
-      // Images
-      if (options.includeImages && msg.images.length > 0) {
-        msg.images.forEach(imgData => {
-          if (typeof imgData === 'string') {
-            md += `![image](${imgData})\n\n`;
-          } else if (imgData.isGif) {
-            md += `🎬 **GIF**\n\n`;
-            md += `[![GIF Preview](${imgData.staticUrl})](${imgData.url})\n\n`;
-            md += `> Link: ${imgData.url}\n\n`;
-          } else {
-            md += `![image](${imgData.url})\n\n`;
-          }
-        });
-      }
+      updateExportProgress(90);
+      reportProgress(90, 'Saving file...');
 
-      // Stickers
-      if (options.includeImages && msg.stickers?.length > 0) {
-        msg.stickers.forEach(stickerData => {
-          const url = typeof stickerData === 'string' ? stickerData : stickerData.url;
-          const isAnimated = typeof stickerData === 'object' && stickerData.isAnimated;
-          if (isAnimated) {
-            md += `🎭 **Animated Sticker**\n\n`;
-          }
-          md += `![sticker](${url})\n\n`;
-        });
-      }
+      await downloadFile(mdContent, buildExportFilename('md', 'markdown'), 'text/markdown');
+      await rememberLastExport(messages, exportOptions, mdContent);
 
-      // Embeds
-      if (msg.embeds && msg.embeds.length > 0) {
-        msg.embeds.forEach(embed => {
-          md += '> 📎 **[Embed]**\n';
-          if (embed.author) md += `> 👤 ${embed.author}\n`;
-          if (embed.title) md += `> **${embed.title}**\n`;
-          if (embed.description) {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = embed.description;
-            md += `> ${tempDiv.textContent}\n`;
-          }
-          if (embed.fields && embed.fields.length > 0) {
-            md += '>\n';
-            embed.fields.forEach(field => {
-              const tempDiv = document.createElement('div');
-              tempDiv.innerHTML = field.value || '';
-              md += `> • **${field.name}**: ${tempDiv.textContent}\n`;
-            });
-          }
-          // Embed thumbnail
-          if (embed.thumbnail) {
-            md += `>\n> 🖼️ 縮圖: ![thumbnail](${embed.thumbnail})\n`;
-          }
-          // Embed image
-          if (embed.image) {
-            md += `>\n> ![embed image](${embed.image})\n`;
-          }
-          if (embed.footer) md += `> _${embed.footer}_\n`;
-          md += '\n';
-        });
-      }
+      return { success: true, messageCount: messages.length };
+    } catch (error) {
+      if (error.cancelled) return { success: false, cancelled: true, error: error.message };
+      if (error.noNewMessages) return { success: false, noNewMessages: true, error: error.message };
+      console.error('Error exporting to Markdown:', error);
+      return { success: false, error: error.message };
+    } finally {
+      finishExport();
+    }
+  }
 
-      if (!isSameUser && options.includeAvatars && msg.avatar) {
-        md += `> Avatar: ${msg.avatar}\n\n`;
+  async function exportToHTML(options = {}) {
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options, format: 'html' };
+
+    try {
+      updateExportProgress(10);
+      reportProgress(10, 'Starting export...');
+
+      const { messages, signal } = await collectMessagesForExport(exportOptions);
+
+      if (messages.length === 0) {
+        throw new Error('No messages found to export');
       }
 
-      if (options.includeReactions && msg.reactions.length > 0) {
-        const reactionText = msg.reactions.map(r => `${r.emoji} (${r.count})`).join(' ');
-        md += `> Reactions: ${reactionText}\n\n`;
+      updateExportProgress(60);
+      reportProgress(60, `Processing ${messages.length} messages...`);
+
+      if (exportOptions.archive) {
+        const archive = await generateArchive(messages, exportOptions, 'html', signal);
+        updateExportProgress(90);
+        reportProgress(90, 'Saving archive...');
+        await downloadFile(archive, buildExportFilename('zip', exportOptions.format), 'application/zip');
+        await rememberLastExport(messages, exportOptions);
+        return { success: true, messageCount: messages.length };
       }
 
-      md += '---\n\n';
-      lastUsername = msg.username || '';
-    });
+      const htmlContent = await generatePDFContent(messages, exportOptions, { offline: true, signal });
 
-    return md;
-  }
+      updateExportProgress(90);
+      reportProgress(90, 'Saving file...');
 
-  // --- EXPORT FUNCTIONS ---
+      await downloadFile(htmlContent, buildExportFilename('html'), 'text/html');
+      await rememberLastExport(messages, exportOptions);
 
-  function downloadFile(content, filename, mimeType) {
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+      return { success: true, messageCount: messages.length };
+    } catch (error) {
+      if (error.cancelled) return { success: false, cancelled: true, error: error.message };
+      if (error.noNewMessages) return { success: false, noNewMessages: true, error: error.message };
+      console.error('Error exporting to HTML:', error);
+      return { success: false, error: error.message };
+    } finally {
+      finishExport();
+    }
   }
 
-  async function exportToPDF(options = {}) {
-    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  async function exportToJSON(options = {}) {
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options, format: 'json' };
 
     try {
       updateExportProgress(10);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 10, text: 'Starting export...' });
+      reportProgress(10, 'Starting export...');
 
-      const messages = await scrollAndCollectMessages(selectedMessageId, selectedEndMessageId, exportOptions);
+      const { messages, signal } = await collectMessagesForExport(exportOptions);
 
       if (messages.length === 0) {
         throw new Error('No messages found to export');
       }
 
-      updateExportProgress(60);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 60, text: `Processing ${messages.length} messages...` });
+      updateExportProgress(70);
+      reportProgress(70, `Processing ${messages.length} messages...`);
 
-      const htmlContent = await generatePDFContent(messages, exportOptions);
+      throwIfCancelled(signal);
+      let jsonContent;
+      if (isAppendingExport(exportOptions)) {
+        jsonContent = appendJSONOutput(await getAppendBase('json'), messages, exportOptions);
+      } else {
+        jsonContent = exportOptions.jsonSchema === 'dce'
+          ? generateDCEJSONContent(messages, exportOptions)
+          : generateJSONContent(messages, exportOptions);
+      }
 
       updateExportProgress(90);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 90, text: 'Generating PDF...' });
+      reportProgress(90, 'Saving file...');
+
+      await downloadFile(jsonContent, buildExportFilename('json'), 'application/json');
+      await rememberLastExport(messages, exportOptions, jsonContent);
+
+      return { success: true, messageCount: messages.length };
+    } catch (error) {
+      if (error.cancelled) return { success: false, cancelled: true, error: error.message };
+      if (error.noNewMessages) return { success: false, noNewMessages: true, error: error.message };
+      console.error('Error exporting to JSON:', error);
+      return { success: false, error: error.message };
+    } finally {
+      finishExport();
+    }
+  }
+
+  async function exportToCSV(options = {}) {
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options, format: 'csv' };
+
+    try {
+      updateExportProgress(10);
+      reportProgress(10, 'Starting export...');
 
-      const printWindow = window.open('', '_blank', 'width=800,height=600');
-      printWindow.document.write(htmlContent);
-      printWindow.document.close();
+      const { messages, signal } = await collectMessagesForExport(exportOptions);
 
-      setTimeout(() => { printWindow.print(); }, 2000);
+      if (messages.length === 0) {
+        throw new Error('No messages found to export');
+      }
+
+      updateExportProgress(70);
+      reportProgress(70, `Processing ${messages.length} messages...`);
+
+      throwIfCancelled(signal);
+      const csvContent = generateCSVContent(messages, exportOptions);
+
+      updateExportProgress(90);
+      reportProgress(90, 'Saving file...');
+
+      await downloadFile(csvContent, buildExportFilename('csv'), 'text/csv;charset=utf-8');
+      await rememberLastExport(messages, exportOptions);
 
       return { success: true, messageCount: messages.length };
     } catch (error) {
-      console.error('Error exporting to PDF:', error);
+      if (error.cancelled) return { success: false, cancelled: true, error: error.message };
+      if (error.noNewMessages) return { success: false, noNewMessages: true, error: error.message };
+      console.error('Error exporting to CSV:', error);
       return { success: false, error: error.message };
+    } finally {
+      finishExport();
     }
   }
 
-  async function exportToMarkdown(options = {}) {
-    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  // Reports don't move the last-export marker, so they can't make the next
+  // incremental export skip messages
+  async function exportToStats(options = {}) {
+    const exportOptions = { ...DEFAULT_EXPORT_OPTIONS, ...options, format: 'stats' };
 
     try {
       updateExportProgress(10);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 10, text: 'Starting export...' });
+      reportProgress(10, 'Starting export...');
 
-      const messages = await scrollAndCollectMessages(selectedMessageId, selectedEndMessageId, exportOptions);
+      const { messages, signal } = await collectMessagesForExport(exportOptions);
 
       if (messages.length === 0) {
         throw new Error('No messages found to export');
       }
 
       updateExportProgress(70);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 70, text: `Processing ${messages.length} messages...` });
+      reportProgress(70, `Counting ${messages.length} messages...`);
 
-      const mdContent = generateMarkdownContent(messages, exportOptions);
+      throwIfCancelled(signal);
+      const stats = computeStatistics(messages);
+      const isJSON = exportOptions.statsFormat === 'json';
+      const content = isJSON ? generateStatsJSON(stats, exportOptions) : generateStatsHtml(stats, exportOptions);
 
       updateExportProgress(90);
-      chrome.runtime.sendMessage({ action: 'progressUpdate', percent: 90, text: 'Saving file...' });
+      reportProgress(90, 'Saving file...');
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      downloadFile(mdContent, `discord-export-${timestamp}.md`, 'text/markdown');
+      await downloadFile(content, buildExportFilename(isJSON ? 'json' : 'html', 'stats'), isJSON ? 'application/json' : 'text/html');
 
       return { success: true, messageCount: messages.length };
     } catch (error) {
-      console.error('Error exporting to Markdown:', error);
+      if (error.cancelled) return { success: false, cancelled: true, error: error.message };
+      if (error.noNewMessages) return { success: false, noNewMessages: true, error: error.message };
+      console.error('Error exporting statistics:', error);
       return { success: false, error: error.message };
+    } finally {
+      finishExport();
+    }
+  }
+
+  const EXPORTERS = {
+    pdf: exportToPDF,
+    markdown: exportToMarkdown,
+    html: exportToHTML,
+    json: exportToJSON,
+    csv: exportToCSV,
+    stats: exportToStats
+  };
+
+  // --- JOBS ---
+  // Batch and scheduled exports run as jobs started by the background worker:
+  //   startJob { job }          worker -> page, answered at once with { accepted, error }
+  //   progressUpdate { jobId }  page -> worker and popup while the job runs
+  //   jobFileChunk { jobId, fileId, index, data }  page -> worker, one base64 piece of a file
+  //   jobFile { jobId, fileId, filename, mimeType }  page -> worker, which saves the file with chrome.downloads
+  //   jobFinished { jobId, result }  page -> worker, the exporter's result
+  //   cancelJob { jobId }       worker -> page
+  // Each job opens its channel in this tab and runs the regular exporter for its
+  // format, one of JOB_FORMATS from settings.js.
+
+  // Text channels listed in the current server's sidebar
+  function listSidebarChannels() {
+    const channels = new Map();
+    document.querySelectorAll(SELECTORS.sidebarChannel).forEach(link => {
+      const match = (link.getAttribute('href') || '').match(/\/channels\/(@me|\d+)\/(\d+)$/);
+      if (!match || channels.has(match[2])) return;
+      const nameEl = link.querySelector(SELECTORS.sidebarChannelName) || link;
+      channels.set(match[2], { id: match[2], guildId: match[1], name: nameEl.textContent.trim() });
+    });
+    return Array.from(channels.values());
+  }
+
+  function getJobRefusal(job) {
+    if (exportAbortController || activeJob) return 'Another export is already running';
+    if (!JOB_FORMATS.includes(job.format)) return `Unsupported job format: ${job.format}`;
+    return null;
+  }
+
+  // `job.incremental` exports the messages since the last export, or the whole
+  // channel the first time.
+  async function runJob(job) {
+    activeJob = job;
+    try {
+      const channelLoaded = getChannelInfo().channelId === job.channelId &&
+        document.querySelector(getChannelMessageSelector(job.channelId));
+      if (!channelLoaded && !(await openChannel(job.channelId, job.guildId))) {
+        return { success: false, error: 'Channel did not load' };
+      }
+      // Start and end selections belong to the channel they were made in
+      clearAllSelections();
+
+      const options = { ...DEFAULT_EXPORT_OPTIONS, ...job.options, searchResults: false, resume: false };
+      if (job.incremental) {
+        options.sinceLastExport = !!(await lastExportStore.get(job.channelId));
+      }
+      return await EXPORTERS[job.format](options);
+    } finally {
+      activeJob = null;
     }
   }
 
@@ -1714,7 +4963,7 @@
     exportButton.setAttribute('tabindex', '0');
     exportButton.setAttribute('role', 'button');
     exportButton.setAttribute('aria-label', 'Export Chat');
-    exportButton.setAttribute('title', 'Export Chat to PDF/Markdown');
+    exportButton.setAttribute('title', 'Export Chat to PDF/Markdown/HTML/JSON');
     exportButton.innerHTML = `
       <svg aria-hidden="false" width="24" height="24" viewBox="0 0 24 24">
         <path fill="currentColor" d="M12 2a1 1 0 0 1 1 1v10.59l3.3-3.3a1 1 0 1 1 1.4 1.42l-5 5a1 1 0 0 1-1.4 0l-5-5a1 1 0 1 1 1.4-1.42l3.3 3.3V3a1 1 0 0 1 1-1Z"/>
@@ -1723,11 +4972,30 @@
       <progress style="display: none;" value="0" max="100"></progress>
     `;
 
-    exportButton.addEventListener('click', toggleExportPanel);
+    exportButton.addEventListener('click', () => {
+      // While an export runs the toolbar button doubles as its cancel control
+      if (exportAbortController) {
+        if (window.confirm('Cancel the running export?')) {
+          cancelExport();
+        } else {
+          showExportPanel();
+        }
+        return;
+      }
+      toggleExportPanel();
+    });
 
     return exportButton;
   }
 
+  function setCancelControlsVisible(visible) {
+    if (exportButton) {
+      exportButton.setAttribute('title', visible ? 'Cancel export' : 'Export Chat to PDF/Markdown/HTML/JSON');
+    }
+    const cancelButton = exportPanel?.querySelector('#exporter-cancel');
+    if (cancelButton) cancelButton.style.display = visible ? 'block' : 'none';
+  }
+
   function updateExportProgress(percent) {
     if (!exportButton) return;
     const progress = exportButton.querySelector('progress');
@@ -1744,7 +5012,14 @@
     }
   }
 
-  async function startExport(type) {
+  // datetime-local values are in local time without a zone; new Date() reads them as local
+  function dateInputToISO(input) {
+    if (!input?.value) return null;
+    const date = new Date(input.value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  async function startExport(type, extraOptions = {}) {
     if (isExporting) return;
     isExporting = true;
 
@@ -1754,14 +5029,38 @@
     updateExportProgress(5);
 
     try {
-      let result;
-      if (type === 'pdf') {
-        result = await exportToPDF(DEFAULT_EXPORT_OPTIONS);
-      } else {
-        result = await exportToMarkdown(DEFAULT_EXPORT_OPTIONS);
-      }
+      const exportFn = EXPORTERS[type] || exportToMarkdown;
+      const archiveToggle = exportPanel?.querySelector('#exporter-archive');
+      const dceToggle = exportPanel?.querySelector('#exporter-dce-json');
+      const threadsToggle = exportPanel?.querySelector('#exporter-threads');
+      const anonymizeToggle = exportPanel?.querySelector('#exporter-anonymize');
+      const searchToggle = exportPanel?.querySelector('#exporter-search');
+      const sinceLastToggle = exportPanel?.querySelector('#exporter-since-last');
+      const appendToggle = exportPanel?.querySelector('#exporter-append');
+      const filterInput = (id) => (exportPanel?.querySelector(id)?.value || '').trim();
+      const result = await exportFn({
+        ...DEFAULT_EXPORT_OPTIONS,
+        ...getExportOptionsFromSettings(currentSettings),
+        archive: !!archiveToggle?.checked,
+        jsonSchema: dceToggle?.checked ? 'dce' : 'native',
+        includeThreads: !!threadsToggle?.checked,
+        searchResults: !!searchToggle?.checked,
+        sinceLastExport: !!sinceLastToggle?.checked,
+        incrementalOutput: appendToggle?.checked ? 'append' : 'delta',
+        anonymize: !!anonymizeToggle?.checked,
+        filters: {
+          mode: exportPanel?.querySelector('#exporter-filter-mode')?.value || 'keep',
+          authors: filterInput('#exporter-filter-authors').split(',').map(name => name.trim()).filter(Boolean),
+          text: filterInput('#exporter-filter-text'),
+          regex: filterInput('#exporter-filter-regex'),
+          types: Array.from(exportPanel?.querySelectorAll('.exporter-filter-type:checked') || []).map(input => input.value)
+        },
+        fromDate: dateInputToISO(exportPanel?.querySelector('#exporter-from-date')),
+        toDate: dateInputToISO(exportPanel?.querySelector('#exporter-to-date')),
+        ...extraOptions
+      });
 
-      chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, error: result.error });
+      chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
     } finally {
       isExporting = false;
       updateExportProgress(0);
@@ -1798,6 +5097,14 @@
     toolbarTrailing.insertBefore(button, targetElement);
   }
 
+  const PANEL_FORMAT_BUTTONS = {
+    pdf: 'exporter-pdf',
+    markdown: 'exporter-md',
+    html: 'exporter-html',
+    json: 'exporter-json',
+    csv: 'exporter-csv'
+  };
+
   function createExportPanel() {
     if (exportPanel) return exportPanel;
 
@@ -1828,12 +5135,85 @@
           <button class="exporter-btn exporter-btn-clear" id="exporter-clear">🗑️ Clear</button>
         </div>
         <hr class="exporter-divider">
+        <div class="exporter-section">
+          <div class="exporter-section-title">📅 Date Range</div>
+          <label class="exporter-date-row">
+            <span class="exporter-label">From</span>
+            <input type="datetime-local" class="exporter-date-input" id="exporter-from-date">
+          </label>
+          <label class="exporter-date-row">
+            <span class="exporter-label">To</span>
+            <input type="datetime-local" class="exporter-date-input" id="exporter-to-date">
+          </label>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-search">
+            <span>🔍 Export search results instead</span>
+          </label>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-since-last">
+            <span>🆕 New messages only (since last export)</span>
+          </label>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-append">
+            <span>➕ Append them to the previous file (Markdown/JSON)</span>
+          </label>
+        </div>
+        <hr class="exporter-divider">
+        <details class="exporter-section exporter-filters">
+          <summary class="exporter-section-title">🔎 Filters</summary>
+          <label class="exporter-date-row">
+            <span class="exporter-label">Authors</span>
+            <input type="text" class="exporter-date-input" id="exporter-filter-authors" placeholder="alice, bob">
+          </label>
+          <label class="exporter-date-row">
+            <span class="exporter-label">Text</span>
+            <input type="text" class="exporter-date-input" id="exporter-filter-text" placeholder="contains...">
+          </label>
+          <label class="exporter-date-row">
+            <span class="exporter-label">Regex</span>
+            <input type="text" class="exporter-date-input" id="exporter-filter-regex" placeholder="/refund|invoice/i">
+          </label>
+          <div class="exporter-filter-types">
+            <label class="exporter-checkbox-label"><input type="checkbox" class="exporter-filter-type" value="image"><span>Has image</span></label>
+            <label class="exporter-checkbox-label"><input type="checkbox" class="exporter-filter-type" value="embed"><span>Has embed</span></label>
+            <label class="exporter-checkbox-label"><input type="checkbox" class="exporter-filter-type" value="attachment"><span>Has attachment</span></label>
+            <label class="exporter-checkbox-label"><input type="checkbox" class="exporter-filter-type" value="bot"><span>Bots only</span></label>
+            <label class="exporter-checkbox-label"><input type="checkbox" class="exporter-filter-type" value="reply"><span>Replies only</span></label>
+          </div>
+          <select class="exporter-date-input exporter-filter-mode" id="exporter-filter-mode">
+            <option value="keep">Export only matching messages</option>
+            <option value="drop">Leave matching messages out</option>
+          </select>
+        </details>
+        <hr class="exporter-divider">
         <div class="exporter-section">
           <div class="exporter-section-title">⬇️ Export</div>
           <div class="exporter-export-buttons">
             <button class="exporter-btn exporter-btn-export" id="exporter-pdf">📄 PDF</button>
             <button class="exporter-btn exporter-btn-export" id="exporter-md">📝 Markdown</button>
+            <button class="exporter-btn exporter-btn-export" id="exporter-html">🌐 HTML</button>
+            <button class="exporter-btn exporter-btn-export" id="exporter-json">🧾 JSON</button>
+            <button class="exporter-btn exporter-btn-export" id="exporter-csv">🧮 CSV</button>
+            <button class="exporter-btn exporter-btn-export exporter-btn-stats" id="exporter-stats-html">📊 Stats (HTML)</button>
+            <button class="exporter-btn exporter-btn-export exporter-btn-stats" id="exporter-stats-json">📊 Stats (JSON)</button>
           </div>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-archive">
+            <span>📦 Bundle media as ZIP (Markdown/HTML)</span>
+          </label>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-threads">
+            <span>🧵 Include threads</span>
+          </label>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-anonymize">
+            <span>🕶️ Anonymize names and redact contacts</span>
+          </label>
+          <label class="exporter-checkbox-label">
+            <input type="checkbox" id="exporter-dce-json">
+            <span>🧾 JSON in DiscordChatExporter format</span>
+          </label>
+          <button class="exporter-btn exporter-btn-cancel" id="exporter-cancel" style="display: none;">✖ Cancel export</button>
           <div class="exporter-progress-container" id="exporter-progress-container" style="display: none;">
             <div class="exporter-progress-text" id="exporter-progress-text">Exporting...</div>
             <progress id="exporter-progress-bar" value="0" max="100"></progress>
@@ -1866,10 +5246,46 @@
       hideExportPanel();
       startExport('markdown');
     });
+    exportPanel.querySelector('#exporter-cancel').addEventListener('click', () => {
+      cancelExport();
+    });
+    exportPanel.querySelector('#exporter-html').addEventListener('click', () => {
+      hideExportPanel();
+      startExport('html');
+    });
+    exportPanel.querySelector('#exporter-json').addEventListener('click', () => {
+      hideExportPanel();
+      startExport('json');
+    });
+    exportPanel.querySelector('#exporter-csv').addEventListener('click', () => {
+      hideExportPanel();
+      startExport('csv');
+    });
+    exportPanel.querySelector('#exporter-stats-html').addEventListener('click', () => {
+      hideExportPanel();
+      startExport('stats', { statsFormat: 'html' });
+    });
+    exportPanel.querySelector('#exporter-stats-json').addEventListener('click', () => {
+      hideExportPanel();
+      startExport('stats', { statsFormat: 'json' });
+    });
+
+    applySettingsToPanel();
 
     return exportPanel;
   }
 
+  // Mirrors the saved settings in the panel's toggles and highlights the default format
+  function applySettingsToPanel() {
+    exportPanel.querySelector('#exporter-archive').checked = !!currentSettings.archive;
+    exportPanel.querySelector('#exporter-dce-json').checked = currentSettings.jsonSchema === 'dce';
+    exportPanel.querySelector('#exporter-threads').checked = !!currentSettings.includeThreads;
+    exportPanel.querySelector('#exporter-anonymize').checked = !!currentSettings.anonymize;
+    Object.entries(PANEL_FORMAT_BUTTONS).forEach(([format, id]) => {
+      exportPanel.querySelector(`#${id}`).classList.toggle('exporter-btn-default', format === currentSettings.defaultFormat);
+    });
+  }
+
   function updateExportPanel() {
     if (!exportPanel) return;
 
@@ -1906,6 +5322,7 @@
   function showExportPanel() {
     if (!exportPanel) createExportPanel();
     updateExportPanel();
+    setCancelControlsVisible(!!exportAbortController);
     exportPanel.classList.add('visible');
   }
 
@@ -1963,17 +5380,112 @@
       case 'exportPDF':
         exportToPDF(message.options).then(result => {
           sendResponse(result);
-          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, error: result.error });
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
         });
         return true;
 
       case 'exportMarkdown':
         exportToMarkdown(message.options).then(result => {
           sendResponse(result);
-          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, error: result.error });
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
+        });
+        return true;
+
+      case 'exportHTML':
+        exportToHTML(message.options).then(result => {
+          sendResponse(result);
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
+        });
+        return true;
+
+      case 'exportJSON':
+        exportToJSON(message.options).then(result => {
+          sendResponse(result);
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
+        });
+        return true;
+
+      case 'exportCSV':
+        exportToCSV(message.options).then(result => {
+          sendResponse(result);
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
+        });
+        return true;
+
+      case 'exportStats':
+        exportToStats(message.options).then(result => {
+          sendResponse(result);
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
+        });
+        return true;
+
+      case 'cancelExport':
+        sendResponse({ success: cancelExport() });
+        break;
+
+      case 'listChannels':
+        sendResponse({ channels: listSidebarChannels() });
+        break;
+
+      case 'startJob': {
+        const refusal = getJobRefusal(message.job);
+        if (refusal) {
+          sendResponse({ accepted: false, error: refusal });
+          break;
+        }
+        runJob(message.job)
+          .catch(error => ({ success: false, error: error.message }))
+          .then(result => chrome.runtime.sendMessage({ action: 'jobFinished', jobId: message.job.id, result }));
+        sendResponse({ accepted: true });
+        break;
+      }
+
+      case 'cancelJob':
+        if (activeJob && activeJob.id === message.jobId) cancelExport();
+        sendResponse({ success: true });
+        break;
+
+      case 'getExportState': {
+        const { channelId } = getChannelInfo();
+        sendResponse({
+          exporting: !!exportAbortController || !!activeJob,
+          channelId,
+          messagesLoaded: !!(channelId && document.querySelector(getChannelMessageSelector(channelId)))
+        });
+        break;
+      }
+
+      case 'getCheckpoint':
+        checkpointStore.getMeta(getCheckpointId()).then(meta => {
+          sendResponse(meta
+            ? { exists: true, messageCount: meta.messageCount, format: meta.options?.format, updatedAt: meta.updatedAt }
+            : { exists: false });
+        });
+        return true;
+
+      case 'getLastExport':
+        lastExportStore.get(getCheckpointId()).then(marker => {
+          sendResponse(marker
+            ? { exists: true, timestamp: marker.timestamp, exportedAt: marker.exportedAt, format: marker.format, messageCount: marker.messageCount }
+            : { exists: false });
+        });
+        return true;
+
+      case 'resumeExport':
+        checkpointStore.getMeta(getCheckpointId()).then(meta => {
+          if (!meta) return { success: false, error: 'No saved export to resume in this channel' };
+          const exportFn = EXPORTERS[meta.options?.format] || exportToMarkdown;
+          return exportFn({ ...meta.options, resume: true });
+        }).then(result => {
+          sendResponse(result);
+          chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
         });
         return true;
 
+      case 'discardCheckpoint':
+        checkpointStore.clear(getCheckpointId()).then(() => sendResponse({ success: true }));
+        return true;
+
       case 'setStartFromContextMenu':
         if (window._lastRightClickedMessage) {
           setSelection(window._lastRightClickedMessage.element, window._lastRightClickedMessage.id);
@@ -2002,10 +5514,10 @@
       case 'exportFromContextMenu':
         if (window._lastRightClickedMessage) {
           setSelection(window._lastRightClickedMessage.element, window._lastRightClickedMessage.id);
-          const exportFn = message.format === 'pdf' ? exportToPDF : exportToMarkdown;
+          const exportFn = EXPORTERS[message.format] || exportToMarkdown;
           exportFn(message.options).then(result => {
             sendResponse(result);
-            chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, error: result.error });
+            chrome.runtime.sendMessage({ action: 'exportComplete', success: result.success, cancelled: result.cancelled, error: result.error });
           });
           return true;
         } else {
@@ -0,0 +1,112 @@
+// Minimal ZIP archive writer for Discord Chat Exporter
+// Entries are written with the STORE method (no compression): exported media is
+// already compressed, and this keeps the writer small and dependency-free.
+
+(function (global) {
+  'use strict';
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, date: day };
+  }
+
+  const textEncoder = new TextEncoder();
+
+  class ZipWriter {
+    constructor() {
+      this.entries = [];
+      this.paths = new Set();
+    }
+
+    has(path) {
+      return this.paths.has(path);
+    }
+
+    // data: string (written as UTF-8) or Uint8Array
+    addFile(path, data, modified = new Date()) {
+      if (this.paths.has(path)) {
+        throw new Error(`Duplicate ZIP entry: ${path}`);
+      }
+      const bytes = typeof data === 'string' ? textEncoder.encode(data) : data;
+      this.paths.add(path);
+      this.entries.push({
+        name: textEncoder.encode(path),
+        bytes,
+        crc: crc32(bytes),
+        modified: toDosDateTime(modified)
+      });
+    }
+
+    toBlob() {
+      const parts = [];
+      const centralParts = [];
+      let offset = 0;
+
+      for (const entry of this.entries) {
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+        local.setUint16(8, 0, true); // Method: store
+        local.setUint16(10, entry.modified.time, true);
+        local.setUint16(12, entry.modified.date, true);
+        local.setUint32(14, entry.crc, true);
+        local.setUint32(18, entry.bytes.length, true);
+        local.setUint32(22, entry.bytes.length, true);
+        local.setUint16(26, entry.name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local.buffer, entry.name, entry.bytes);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, entry.modified.time, true);
+        central.setUint16(14, entry.modified.date, true);
+        central.setUint32(16, entry.crc, true);
+        central.setUint32(20, entry.bytes.length, true);
+        central.setUint32(24, entry.bytes.length, true);
+        central.setUint16(28, entry.name.length, true);
+        central.setUint32(42, offset, true); // Local header offset
+        centralParts.push(central.buffer, entry.name);
+
+        offset += 30 + entry.name.length + entry.bytes.length;
+      }
+
+      const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true); // End of central directory signature
+      end.setUint16(8, this.entries.length, true);
+      end.setUint16(10, this.entries.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+
+      return new Blob([...parts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+  }
+
+  global.ZipWriter = ZipWriter;
+})(globalThis);
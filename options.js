@@ -0,0 +1,203 @@
+// Options page script for Discord Chat Exporter
+
+const CHECKBOX_SETTINGS = ['includeImages', 'includeAvatars', 'includeTimestamps', 'includeReactions', 'archive', 'archiveAttachments', 'includeThreads', 'csvBom', 'anonymize'];
+
+// Show a short-lived status message
+function showStatus(message, type = 'success') {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${type}`;
+  setTimeout(() => {
+    status.textContent = '';
+    status.className = 'status';
+  }, 2500);
+}
+
+// Fill the form from settings
+function renderSettings(settings) {
+  document.getElementById('defaultFormat').value = settings.defaultFormat;
+  CHECKBOX_SETTINGS.forEach(key => {
+    document.getElementById(key).checked = !!settings[key];
+  });
+  document.getElementById('dceJson').checked = settings.jsonSchema === 'dce';
+  document.getElementById('filenameTemplate').value = settings.filenameTemplate;
+  document.getElementById('redactPatterns').value = settings.redactPatterns;
+  TIMING_SETTING_KEYS.forEach(key => {
+    document.getElementById(key).value = settings[key];
+  });
+}
+
+// Read settings from the form, falling back to defaults for invalid numbers
+function readSettings() {
+  const settings = {
+    defaultFormat: document.getElementById('defaultFormat').value,
+    jsonSchema: document.getElementById('dceJson').checked ? 'dce' : 'native',
+    filenameTemplate: document.getElementById('filenameTemplate').value.trim() || DEFAULT_SETTINGS.filenameTemplate,
+    redactPatterns: parseRedactPatterns(document.getElementById('redactPatterns').value).join('\n')
+  };
+  CHECKBOX_SETTINGS.forEach(key => {
+    settings[key] = document.getElementById(key).checked;
+  });
+  TIMING_SETTING_KEYS.forEach(key => {
+    const value = parseInt(document.getElementById(key).value, 10);
+    settings[key] = Number.isFinite(value) && value > 0 ? value : DEFAULT_SETTINGS[key];
+  });
+  return settings;
+}
+
+document.getElementById('settings-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const settings = readSettings();
+    await saveSettings(settings);
+    renderSettings(settings);
+    showStatus('Settings saved');
+  } catch (error) {
+    showStatus('Error: ' + error.message, 'error');
+  }
+});
+
+document.getElementById('reset').addEventListener('click', async () => {
+  try {
+    renderSettings(await resetSettings());
+    showStatus('Settings reset to defaults');
+  } catch (error) {
+    showStatus('Error: ' + error.message, 'error');
+  }
+});
+
+// --- SCHEDULES AND HISTORY ---
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const RUN_STATUS_LABELS = {
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  empty: 'No new messages'
+};
+
+// Sends a schedule/history request to the service worker and re-renders both lists
+async function sendToBackground(action, data = {}) {
+  const response = await chrome.runtime.sendMessage({ action, ...data });
+  if (!response.success) throw new Error(response.error);
+  renderSchedules(response.schedules);
+  renderHistory(response.history);
+}
+
+function createButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-secondary btn-small';
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    onClick().catch(error => showStatus('Error: ' + error.message, 'error'));
+  });
+  return button;
+}
+
+function describeRun(run) {
+  const label = RUN_STATUS_LABELS[run.status] || run.status;
+  const count = run.status === 'done' && run.messageCount !== null ? ` (${run.messageCount} messages)` : '';
+  return `${label}${count}${run.error && run.status !== 'empty' ? `: ${run.error}` : ''}`;
+}
+
+function renderSchedules(schedules) {
+  const list = document.getElementById('schedule-list');
+  if (schedules.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = 'No scheduled exports.';
+    list.replaceChildren(empty);
+    return;
+  }
+
+  list.replaceChildren(...schedules.map(schedule => {
+    const item = document.createElement('li');
+    item.className = 'log-item';
+
+    const info = document.createElement('div');
+    info.className = 'log-item-info';
+    const when = schedule.period === 'weekly' ? `Every ${DAY_NAMES[schedule.day]}` : 'Daily';
+    info.textContent = `#${schedule.channelName} · ${schedule.format} · ${when} at ${schedule.time}`;
+
+    const detail = document.createElement('div');
+    detail.className = 'log-item-detail';
+    const next = schedule.enabled && schedule.nextRunAt
+      ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}`
+      : 'Paused';
+    const last = schedule.lastRun
+      ? ` · Last run ${new Date(schedule.lastRun.at).toLocaleString()}: ${describeRun(schedule.lastRun)}`
+      : '';
+    detail.textContent = next + last;
+    info.append(detail);
+
+    item.append(
+      info,
+      createButton(schedule.enabled ? 'Pause' : 'Resume', () =>
+        sendToBackground('scheduleSetEnabled', { scheduleId: schedule.id, enabled: !schedule.enabled })),
+      createButton('Run now', async () => {
+        await sendToBackground('scheduleRunNow', { scheduleId: schedule.id });
+        showStatus(`Exporting #${schedule.channelName}...`);
+      }),
+      createButton('Delete', () => sendToBackground('scheduleRemove', { scheduleId: schedule.id }))
+    );
+    return item;
+  }));
+}
+
+function renderHistory(history) {
+  const list = document.getElementById('history-list');
+  if (history.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = 'Nothing exported yet.';
+    list.replaceChildren(empty);
+    return;
+  }
+
+  list.replaceChildren(...history.map(entry => {
+    const item = document.createElement('li');
+    item.className = 'log-item';
+
+    const info = document.createElement('div');
+    info.className = 'log-item-info';
+    const status = document.createElement('span');
+    status.className = `log-status ${entry.status}`;
+    status.textContent = describeRun(entry);
+    info.append(`#${entry.channelName} · ${entry.format} · ${entry.source} · `, status);
+
+    const detail = document.createElement('div');
+    detail.className = 'log-item-detail';
+    detail.textContent = new Date(entry.finishedAt).toLocaleString() +
+      (entry.files.length ? ` · ${entry.files.join(', ')}` : '');
+    info.append(detail);
+
+    item.append(info);
+    return item;
+  }));
+}
+
+document.getElementById('clear-history').addEventListener('click', async () => {
+  try {
+    await sendToBackground('historyClear');
+  } catch (error) {
+    showStatus('Error: ' + error.message, 'error');
+  }
+});
+
+// Runs finish in the background; follow them through storage
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.exportSchedules) renderSchedules(changes.exportSchedules.newValue || []);
+  if (changes.exportHistory) renderHistory(changes.exportHistory.newValue || []);
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  renderSettings(await loadSettings());
+  try {
+    await sendToBackground('scheduleGetState');
+  } catch (error) {
+    showStatus('Error: ' + error.message, 'error');
+  }
+});
@@ -2,12 +2,54 @@
 
 let selectedMessageId = null;
 let selectedMessagePreview = null;
+// Custom redaction patterns are only edited on the options page
+let redactPatterns = [];
+
+// Popup checkboxes and the saved setting each one mirrors
+const OPTION_CHECKBOXES = {
+  'include-images': 'includeImages',
+  'include-avatars': 'includeAvatars',
+  'include-timestamps': 'includeTimestamps',
+  'include-reactions': 'includeReactions',
+  'archive': 'archive',
+  'archive-attachments': 'archiveAttachments',
+  'include-threads': 'includeThreads',
+  'csv-bom': 'csvBom',
+  'anonymize': 'anonymize'
+};
+
+// Popup export buttons by format
+const FORMAT_BUTTONS = {
+  pdf: 'export-pdf',
+  markdown: 'export-md',
+  html: 'export-html',
+  json: 'export-json',
+  csv: 'export-csv'
+};
+
+// Pages the content script is injected into. Reads the manifest so a match
+// added by hand for local testing (see README) is picked up as well.
+function isDiscordUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const patterns = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+  return patterns.some(pattern => {
+    const match = pattern.match(/^(\*|https?):\/\/([^/]+)\//);
+    return !!match &&
+      (match[1] === '*' || parsed.protocol === `${match[1]}:`) &&
+      parsed.hostname === match[2];
+  });
+}
 
 // Check if we're on Discord
 async function checkDiscordPage() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    const isDiscord = tab.url && tab.url.includes('discord.com');
+    const isDiscord = isDiscordUrl(tab.url);
     
     document.getElementById('not-discord').classList.toggle('hidden', isDiscord);
     document.getElementById('main-content').classList.toggle('hidden', !isDiscord);
@@ -77,6 +119,56 @@ function updateSelectedMessage(preview) {
   }
 }
 
+// Convert a datetime-local input value (local time) to an ISO string
+function getDateInputValue(id) {
+  const value = document.getElementById(id).value;
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Show the resume section when an interrupted export was checkpointed for this channel
+async function refreshCheckpoint() {
+  const section = document.getElementById('resume-section');
+  try {
+    const checkpoint = await sendToContentScript('getCheckpoint');
+    if (checkpoint && checkpoint.exists) {
+      const savedAt = checkpoint.updatedAt ? new Date(checkpoint.updatedAt).toLocaleString() : 'unknown time';
+      document.getElementById('resume-info').textContent =
+        `${checkpoint.messageCount} messages collected (${checkpoint.format || 'markdown'}), last saved ${savedAt}.`;
+      section.classList.remove('hidden');
+    } else {
+      section.classList.add('hidden');
+    }
+  } catch (error) {
+    section.classList.add('hidden');
+  }
+}
+
+// Describe the last export of this channel next to the "new messages only" option
+async function refreshLastExport() {
+  const info = document.getElementById('last-export-info');
+  try {
+    const lastExport = await sendToContentScript('getLastExport');
+    info.textContent = lastExport && lastExport.exists
+      ? `Last export: ${lastExport.messageCount} messages (${lastExport.format}) up to ${new Date(lastExport.timestamp).toLocaleString()}.`
+      : 'No export of this channel yet.';
+  } catch (error) {
+    info.textContent = '';
+  }
+}
+
+// Filters applied between collection and rendering; empty fields are ignored
+function getFilters() {
+  return {
+    mode: document.getElementById('filter-mode').value,
+    authors: document.getElementById('filter-authors').value.split(',').map(name => name.trim()).filter(Boolean),
+    text: document.getElementById('filter-text').value.trim(),
+    regex: document.getElementById('filter-regex').value.trim(),
+    types: Array.from(document.querySelectorAll('.filter-type:checked')).map(checkbox => checkbox.value)
+  };
+}
+
 // Get export options
 function getExportOptions() {
   return {
@@ -84,9 +176,50 @@ function getExportOptions() {
     includeAvatars: document.getElementById('include-avatars').checked,
     includeTimestamps: document.getElementById('include-timestamps').checked,
     includeReactions: document.getElementById('include-reactions').checked,
+    archive: document.getElementById('archive').checked,
+    archiveAttachments: document.getElementById('archive-attachments').checked,
+    jsonSchema: document.getElementById('dce-json').checked ? 'dce' : 'native',
+    csvBom: document.getElementById('csv-bom').checked,
+    includeThreads: document.getElementById('include-threads').checked,
+    searchResults: document.getElementById('search-results').checked,
+    sinceLastExport: document.getElementById('since-last-export').checked,
+    incrementalOutput: document.getElementById('incremental-output').value,
+    filters: getFilters(),
+    anonymize: document.getElementById('anonymize').checked,
+    redactPatterns,
+    fromDate: getDateInputValue('from-date'),
+    toDate: getDateInputValue('to-date'),
   };
 }
 
+// Fill the options from saved settings and highlight the default format
+function applySettingsToPopup(settings) {
+  Object.entries(OPTION_CHECKBOXES).forEach(([id, key]) => {
+    document.getElementById(id).checked = !!settings[key];
+  });
+  document.getElementById('dce-json').checked = settings.jsonSchema === 'dce';
+  redactPatterns = parseRedactPatterns(settings.redactPatterns);
+  Object.entries(FORMAT_BUTTONS).forEach(([format, id]) => {
+    document.getElementById(id).classList.toggle('default-format', format === settings.defaultFormat);
+  });
+}
+
+// Persist option changes so they become the new defaults
+Object.entries(OPTION_CHECKBOXES).forEach(([id, key]) => {
+  document.getElementById(id).addEventListener('change', (e) => {
+    saveSettings({ [key]: e.target.checked });
+  });
+});
+
+document.getElementById('dce-json').addEventListener('change', (e) => {
+  saveSettings({ jsonSchema: e.target.checked ? 'dce' : 'native' });
+});
+
+document.getElementById('open-options').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
 // Handle select starting message button
 document.getElementById('select-start').addEventListener('click', async () => {
   try {
@@ -98,6 +231,51 @@ document.getElementById('select-start').addEventListener('click', async () => {
   }
 });
 
+// Handle resuming an interrupted export
+document.getElementById('resume-export').addEventListener('click', async () => {
+  try {
+    showExportStatus('Resuming export...');
+    updateStatus('Resuming export...');
+
+    const response = await sendToContentScript('resumeExport');
+
+    if (response.success) {
+      updateStatus('Export resumed and completed!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
+    } else {
+      updateStatus('Error: ' + response.error, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  } finally {
+    hideExportStatus();
+    refreshCheckpoint();
+  }
+});
+
+// Handle discarding a saved checkpoint
+document.getElementById('discard-checkpoint').addEventListener('click', async () => {
+  try {
+    await sendToContentScript('discardCheckpoint');
+    updateStatus('Saved export discarded');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  } finally {
+    refreshCheckpoint();
+  }
+});
+
+// Handle cancelling the running export
+document.getElementById('cancel-export').addEventListener('click', async () => {
+  try {
+    await sendToContentScript('cancelExport');
+    updateStatus('Cancelling export...');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
 // Handle PDF export
 document.getElementById('export-pdf').addEventListener('click', async () => {
   try {
@@ -109,6 +287,8 @@ document.getElementById('export-pdf').addEventListener('click', async () => {
     
     if (response.success) {
       updateStatus('PDF exported successfully!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
     } else {
       updateStatus('Error: ' + response.error, 'error');
     }
@@ -130,6 +310,100 @@ document.getElementById('export-md').addEventListener('click', async () => {
     
     if (response.success) {
       updateStatus('Markdown exported successfully!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
+    } else {
+      updateStatus('Error: ' + response.error, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  } finally {
+    hideExportStatus();
+  }
+});
+
+// Handle HTML export
+document.getElementById('export-html').addEventListener('click', async () => {
+  try {
+    const options = getExportOptions();
+    showExportStatus('Scrolling and collecting messages...');
+    updateStatus('Exporting to HTML...');
+    
+    const response = await sendToContentScript('exportHTML', { options });
+    
+    if (response.success) {
+      updateStatus('HTML exported successfully!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
+    } else {
+      updateStatus('Error: ' + response.error, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  } finally {
+    hideExportStatus();
+  }
+});
+
+// Handle JSON export
+document.getElementById('export-json').addEventListener('click', async () => {
+  try {
+    const options = getExportOptions();
+    showExportStatus('Scrolling and collecting messages...');
+    updateStatus('Exporting to JSON...');
+    
+    const response = await sendToContentScript('exportJSON', { options });
+    
+    if (response.success) {
+      updateStatus('JSON exported successfully!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
+    } else {
+      updateStatus('Error: ' + response.error, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  } finally {
+    hideExportStatus();
+  }
+});
+
+// Handle CSV export
+document.getElementById('export-csv').addEventListener('click', async () => {
+  try {
+    const options = getExportOptions();
+    showExportStatus('Scrolling and collecting messages...');
+    updateStatus('Exporting to CSV...');
+
+    const response = await sendToContentScript('exportCSV', { options });
+
+    if (response.success) {
+      updateStatus('CSV exported successfully!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
+    } else {
+      updateStatus('Error: ' + response.error, 'error');
+    }
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  } finally {
+    hideExportStatus();
+  }
+});
+
+// Handle statistics report export
+document.getElementById('export-stats').addEventListener('click', async () => {
+  try {
+    const options = { ...getExportOptions(), statsFormat: document.getElementById('stats-format').value };
+    showExportStatus('Scrolling and collecting messages...');
+    updateStatus('Building statistics report...');
+
+    const response = await sendToContentScript('exportStats', { options });
+
+    if (response.success) {
+      updateStatus('Statistics report exported successfully!', 'success');
+    } else if (response.cancelled) {
+      updateStatus('Export cancelled');
     } else {
       updateStatus('Error: ' + response.error, 'error');
     }
@@ -140,6 +414,206 @@ document.getElementById('export-md').addEventListener('click', async () => {
   }
 });
 
+// --- BATCH EXPORT ---
+
+const BATCH_STATUS_LABELS = {
+  pending: 'Queued',
+  running: 'Exporting…',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  empty: 'No new messages'
+};
+
+let batchChannels = [];
+
+function renderBatchQueue(queue) {
+  const list = document.getElementById('batch-queue');
+  list.replaceChildren(...queue.jobs.map(job => {
+    const item = document.createElement('li');
+    item.className = 'batch-job';
+
+    const info = document.createElement('span');
+    info.className = 'batch-job-info';
+    const range = [job.options.fromDate, job.options.toDate]
+      .map(date => date ? new Date(date).toLocaleDateString() : '…')
+      .join(' – ');
+    info.textContent = `#${job.channelName} · ${job.format}${job.options.fromDate || job.options.toDate ? ` · ${range}` : ''}` +
+      (job.options.sinceLastExport ? ` · new only${job.options.incrementalOutput === 'append' ? ' (append)' : ''}` : '');
+    info.title = info.textContent;
+
+    const status = document.createElement('span');
+    status.className = `batch-job-status ${job.status}`;
+    if (job.status === 'done' && job.messageCount !== null) {
+      status.textContent = `Done (${job.messageCount})`;
+    } else if (job.status === 'running' && job.progress) {
+      status.textContent = `${BATCH_STATUS_LABELS.running} ${job.progress}%`;
+    } else {
+      status.textContent = BATCH_STATUS_LABELS[job.status] || job.status;
+    }
+    if (job.error) status.title = job.error;
+
+    item.append(info, status);
+    if (job.status !== 'running') {
+      const remove = document.createElement('button');
+      remove.className = 'batch-job-remove';
+      remove.textContent = '✕';
+      remove.title = 'Remove from queue';
+      remove.addEventListener('click', () => sendToBackground('batchRemoveJob', { jobId: job.id }));
+      item.append(remove);
+    }
+    return item;
+  }));
+
+  const hasPending = queue.jobs.some(job => job.status === 'pending');
+  document.getElementById('batch-start').disabled = queue.running || !hasPending;
+  document.getElementById('batch-cancel').classList.toggle('hidden', !queue.running);
+}
+
+async function sendToBackground(action, data = {}) {
+  const response = await chrome.runtime.sendMessage({ action, ...data });
+  if (!response.success) throw new Error(response.error);
+  renderBatchQueue(response.queue);
+  return response.queue;
+}
+
+function renderBatchChannels() {
+  const list = document.getElementById('batch-channel-list');
+  if (batchChannels.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = 'No channels found in the server sidebar.';
+    list.replaceChildren(empty);
+    return;
+  }
+  list.replaceChildren(...batchChannels.map(channel => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = channel.id;
+    const name = document.createElement('span');
+    name.textContent = `#${channel.name}`;
+    label.append(checkbox, name);
+    return label;
+  }));
+}
+
+document.getElementById('batch-pick-channels').addEventListener('click', async () => {
+  try {
+    const response = await sendToContentScript('listChannels');
+    batchChannels = response.channels || [];
+    renderBatchChannels();
+    document.getElementById('batch-picker').classList.remove('hidden');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
+document.getElementById('batch-add').addEventListener('click', async () => {
+  const selectedIds = Array.from(document.querySelectorAll('#batch-channel-list input:checked'))
+    .map(checkbox => checkbox.value);
+  if (selectedIds.length === 0) {
+    updateStatus('Pick at least one channel', 'error');
+    return;
+  }
+
+  const options = getExportOptions();
+  const jobs = batchChannels.filter(channel => selectedIds.includes(channel.id)).map(channel => ({
+    channelId: channel.id,
+    guildId: channel.guildId,
+    channelName: channel.name,
+    format: document.getElementById('batch-format').value,
+    options: {
+      ...options,
+      fromDate: getDateInputValue('batch-from-date'),
+      toDate: getDateInputValue('batch-to-date')
+    }
+  }));
+
+  try {
+    await sendToBackground('batchAddJobs', { jobs });
+    document.querySelectorAll('#batch-channel-list input:checked').forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    updateStatus(`${jobs.length} job${jobs.length === 1 ? '' : 's'} added to the queue`);
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
+// --- SCHEDULED EXPORTS ---
+
+document.getElementById('schedule-period').addEventListener('change', (e) => {
+  document.getElementById('schedule-day').classList.toggle('hidden', e.target.value !== 'weekly');
+});
+
+document.getElementById('schedule-add').addEventListener('click', async () => {
+  const selectedIds = Array.from(document.querySelectorAll('#batch-channel-list input:checked'))
+    .map(checkbox => checkbox.value);
+  if (selectedIds.length === 0) {
+    updateStatus('Pick at least one channel', 'error');
+    return;
+  }
+
+  const period = document.getElementById('schedule-period').value;
+  const schedules = batchChannels.filter(channel => selectedIds.includes(channel.id)).map(channel => ({
+    channelId: channel.id,
+    guildId: channel.guildId,
+    channelName: channel.name,
+    format: document.getElementById('batch-format').value,
+    options: getExportOptions(),
+    period,
+    day: document.getElementById('schedule-day').value,
+    time: document.getElementById('schedule-time').value
+  }));
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'scheduleAdd', schedules });
+    if (!response.success) throw new Error(response.error);
+    document.querySelectorAll('#batch-channel-list input:checked').forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    updateStatus(`${schedules.length} scheduled export${schedules.length === 1 ? '' : 's'} added`, 'success');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
+document.getElementById('batch-start').addEventListener('click', async () => {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await sendToBackground('batchStart', { tabId: tab.id });
+    updateStatus('Batch export started');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
+document.getElementById('batch-cancel').addEventListener('click', async () => {
+  try {
+    await sendToBackground('batchCancel');
+    updateStatus('Stopping the batch export...');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
+document.getElementById('batch-clear').addEventListener('click', async () => {
+  try {
+    await sendToBackground('batchClearFinished');
+  } catch (error) {
+    updateStatus('Error: ' + error.message, 'error');
+  }
+});
+
+// The background coordinator writes job status to storage as the queue runs
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.batchQueue?.newValue) {
+    renderBatchQueue(changes.batchQueue.newValue);
+  }
+});
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'messageSelected') {
@@ -152,13 +626,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   } else if (message.action === 'exportComplete') {
     hideProgress();
     hideExportStatus();
-    updateStatus(message.success ? 'Export complete!' : 'Export failed: ' + message.error, 
-                 message.success ? 'success' : 'error');
+    if (message.cancelled) {
+      updateStatus('Export cancelled');
+    } else {
+      updateStatus(message.success ? 'Export complete!' : 'Export failed: ' + message.error, 
+                   message.success ? 'success' : 'error');
+    }
+    refreshLastExport();
   }
 });
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
+  applySettingsToPopup(await loadSettings());
   await checkDiscordPage();
   
   // Check if there's a previously selected message
@@ -172,4 +652,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   } catch (error) {
     console.log('No previously selected message');
   }
+
+  await refreshCheckpoint();
+  await refreshLastExport();
+
+  try {
+    await sendToBackground('batchGetState');
+  } catch (error) {
+    console.log('Could not read batch queue');
+  }
+
+  // Re-attach to an export that is still running in the page
+  try {
+    const state = await sendToContentScript('getExportState');
+    if (state && state.exporting) {
+      showExportStatus('Export in progress...');
+    }
+  } catch (error) {
+    console.log('Could not read export state');
+  }
 });
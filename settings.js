@@ -0,0 +1,67 @@
+// Shared settings for Discord Chat Exporter
+// Loaded by the popup, the options page, the content script and the service worker.
+
+const DEFAULT_SETTINGS = {
+  defaultFormat: 'pdf',
+  includeImages: true,
+  includeAvatars: true,
+  includeTimestamps: true,
+  includeReactions: true,
+  archive: false,
+  archiveAttachments: false,
+  jsonSchema: 'native',
+  csvBom: true,
+  includeThreads: false,
+  anonymize: false,
+  redactPatterns: '',
+  filenameTemplate: 'discord-export-{timestamp}',
+  scrollDelay: 600,
+  maxScrollAttempts: 500,
+  maxNoChangeAttempts: 8
+};
+
+// Formats batch and scheduled jobs can produce
+const JOB_FORMATS = ['pdf', 'markdown', 'html', 'json', 'csv'];
+
+// Settings that override the content script's CONFIG timing values
+const TIMING_SETTING_KEYS = ['scrollDelay', 'maxScrollAttempts', 'maxNoChangeAttempts'];
+
+// Custom redaction patterns are stored one per line
+function parseRedactPatterns(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+async function loadSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+async function resetSettings() {
+  await chrome.storage.sync.clear();
+  return { ...DEFAULT_SETTINGS };
+}
+
+function getExportOptionsFromSettings(settings) {
+  return {
+    includeImages: settings.includeImages,
+    includeAvatars: settings.includeAvatars,
+    includeTimestamps: settings.includeTimestamps,
+    includeReactions: settings.includeReactions,
+    archive: settings.archive,
+    archiveAttachments: settings.archiveAttachments,
+    jsonSchema: settings.jsonSchema,
+    csvBom: settings.csvBom,
+    includeThreads: settings.includeThreads,
+    anonymize: settings.anonymize,
+    redactPatterns: parseRedactPatterns(settings.redactPatterns)
+  };
+}